@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Admin API keys with roles. ADMIN_API_KEYS is a comma-separated list of
+// name:role:key entries; the older single ADMIN_API_KEY still works as an admin key.
+// Each role can do everything the roles before it can.
+const ROLES = ['viewer', 'support', 'admin'];
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function loadKeys() {
+  const keys = [];
+
+  for (const entry of (process.env.ADMIN_API_KEYS || '').split(',')) {
+    if (!entry.trim()) {
+      continue;
+    }
+
+    const [name, role, ...secret] = entry.trim().split(':');
+    const key = secret.join(':');
+    if (!name || !ROLES.includes(role) || key.length < 16) {
+      logger.warn('Ignoring malformed ADMIN_API_KEYS entry', { key_name: name || '(unnamed)' });
+      continue;
+    }
+    keys.push({ name, role, hash: hash(key) });
+  }
+
+  if (process.env.ADMIN_API_KEY) {
+    keys.push({ name: 'default', role: 'admin', hash: hash(process.env.ADMIN_API_KEY) });
+  }
+
+  return keys;
+}
+
+const keys = loadKeys();
+
+// Compared as hashes so every check is constant-time and the same length
+function findKey(providedKey) {
+  const providedHash = hash(providedKey);
+  return keys.find(key => crypto.timingSafeEqual(key.hash, providedHash)) || null;
+}
+
+// Middleware: Bearer key with at least the given role. Sets req.adminKey = { name, role }
+function requireRole(role) {
+  const minimumLevel = ROLES.indexOf(role);
+  if (minimumLevel === -1) {
+    throw new Error(`Unknown admin role: ${role}`);
+  }
+
+  return (req, res, next) => {
+    if (keys.length === 0) {
+      return res.status(503).json({ error: 'Admin API not configured' });
+    }
+
+    const header = req.headers.authorization || '';
+    const providedKey = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const key = providedKey ? findKey(providedKey) : null;
+
+    if (!key) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (ROLES.indexOf(key.role) < minimumLevel) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+
+    req.adminKey = { name: key.name, role: key.role };
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  requireRole
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+
+// Who called an admin or diagnostics tool, when, and with what data
+const entries = createStore('audit-log');
+
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+function pruneExpired() {
+  const cutoff = Date.now() - RETENTION_MS;
+  for (const [id, entry] of entries.entries()) {
+    if (new Date(entry.at).getTime() < cutoff) {
+      entries.delete(id);
+    }
+  }
+}
+
+function recordAudit(entry) {
+  pruneExpired();
+
+  const id = `aud_${crypto.randomUUID()}`;
+  return entries.set(id, {
+    id: id,
+    at: new Date().toISOString(),
+    ...entry
+  });
+}
+
+function updateAudit(id, changes) {
+  return entries.update(id, changes);
+}
+
+// Newest first
+function listAudit({ actor, limit = 100 } = {}) {
+  return entries.values()
+    .filter(entry => !actor || entry.actor === actor)
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+}
+
+// Middleware: record the request once the admin key is known, and its status when it finishes
+function auditRequest(action) {
+  return (req, res, next) => {
+    const entry = recordAudit({
+      action: action,
+      actor: req.adminKey?.name || null,
+      role: req.adminKey?.role || null,
+      ip: req.ip,
+      method: req.method,
+      path: req.originalUrl,
+      body: req.body && Object.keys(req.body).length > 0 ? req.body : null
+    });
+
+    res.on('finish', () => {
+      updateAudit(entry.id, { status: res.statusCode });
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  recordAudit,
+  listAudit,
+  auditRequest
+};
@@ -0,0 +1,63 @@
+// Buyer details from the checkout form, or from what Stripe's card form collected
+
+// Billing address in Stripe's shape, kept as far as the buyer gave it - Stripe's
+// card form alone only collects the postal code. The country must be a two-letter
+// code when given. An address with nothing filled in counts as none
+const BILLING_ADDRESS_FIELDS = { line1: 200, line2: 200, city: 100, state: 50, postal_code: 20, country: 2 };
+
+function parseBillingAddress(value) {
+  if (value === undefined || value === null) {
+    return { address: null };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'Invalid billing address' };
+  }
+
+  const address = {};
+  for (const [field, maxLength] of Object.entries(BILLING_ADDRESS_FIELDS)) {
+    if (value[field] !== undefined && value[field] !== null && typeof value[field] !== 'string') {
+      return { error: 'Invalid billing address' };
+    }
+    const fieldValue = (value[field] || '').trim();
+    if (fieldValue.length > maxLength) {
+      return { error: 'Invalid billing address' };
+    }
+    address[field] = fieldValue || null;
+  }
+
+  if (Object.values(address).every(fieldValue => !fieldValue)) {
+    return { address: null };
+  }
+
+  if (address.country) {
+    address.country = address.country.toUpperCase();
+    if (!/^[A-Z]{2}$/.test(address.country)) {
+      return { error: 'Invalid billing country' };
+    }
+  }
+
+  return { address };
+}
+
+// The name is optional - a missing one is left unset rather than failing the checkout
+function parseBuyerName(value) {
+  if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+    return { name: null };
+  }
+  if (typeof value !== 'string' || value.trim().length > 100) {
+    return { error: 'Invalid name' };
+  }
+  return { name: value.trim().replace(/\s+/g, ' ') };
+}
+
+// Stripe rejects nulls - fields the buyer left out are just not sent
+function stripeAddress(address) {
+  return address ? Object.fromEntries(Object.entries(address).filter(([, fieldValue]) => fieldValue)) : undefined;
+}
+
+module.exports = {
+  BILLING_ADDRESS_FIELDS,
+  parseBillingAddress,
+  parseBuyerName,
+  stripeAddress
+};
@@ -0,0 +1,92 @@
+const logger = require('./logger');
+
+// In-process cache of the Stripe product catalog - checkout, order creation and
+// confirmations all need the same products and prices, so each is fetched once per TTL.
+// product.* and price.* webhooks drop entries as soon as the catalog changes.
+const TTL_MS = (parseInt(process.env.CATALOG_TTL_MINUTES, 10) || 15) * 60 * 1000;
+
+function createCatalog(stripe) {
+  const products = new Map();
+  const productPrices = new Map();
+  const prices = new Map();
+
+  // Concurrent misses for the same key share one Stripe request; failures aren't cached
+  function cached(cache, key, load) {
+    const entry = cache.get(key);
+    if (entry && Date.now() - entry.fetched_at < TTL_MS) {
+      return entry.value;
+    }
+
+    const value = load().catch(error => {
+      if (cache.get(key)?.value === value) {
+        cache.delete(key);
+      }
+      throw error;
+    });
+    cache.set(key, { value: value, fetched_at: Date.now() });
+    return value;
+  }
+
+  function getProduct(productId) {
+    return cached(products, productId, () => stripe.products.retrieve(productId));
+  }
+
+  // Active prices with their currency_options, as validateProduct needs them
+  function getProductPrices(productId) {
+    return cached(productPrices, productId, async () => {
+      const result = await stripe.prices.list({
+        product: productId,
+        active: true,
+        limit: 10,
+        expand: ['data.currency_options']
+      });
+      return result.data;
+    });
+  }
+
+  function getPrice(priceId) {
+    return cached(prices, priceId, () => stripe.prices.retrieve(priceId, { expand: ['currency_options'] }));
+  }
+
+  // Product and price webhooks - drop whatever the event touched
+  function invalidate(event) {
+    const object = event.data.object;
+
+    if (event.type.startsWith('product.')) {
+      products.delete(object.id);
+      productPrices.delete(object.id);
+    } else if (event.type.startsWith('price.')) {
+      prices.delete(object.id);
+      productPrices.delete(typeof object.product === 'string' ? object.product : object.product?.id);
+    }
+
+    logger.debug('Catalog cache invalidated', { event_type: event.type, object_id: object.id });
+  }
+
+  // Fill the cache at startup so the first checkouts don't pay for the round-trips
+  async function warm(productIds, priceIds = []) {
+    const results = await Promise.allSettled([
+      ...productIds.flatMap(productId => [getProduct(productId), getProductPrices(productId)]),
+      ...priceIds.map(priceId => getPrice(priceId))
+    ]);
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length > 0) {
+      logger.warn('Catalog warm-up lookups failed', { failed: failed.length, lookups: results.length, error: failed[0].reason });
+    } else {
+      logger.info('Catalog cache warmed', { products: productIds.length, plan_prices: priceIds.length });
+    }
+  }
+
+  return {
+    getProduct,
+    getProductPrices,
+    getPrice,
+    invalidate,
+    warm
+  };
+}
+
+module.exports = {
+  createCatalog
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { createLog } = require('./store');
+
+// Every marketing consent we collect - what the person agreed to, the wording
+// they saw and where it came from. Kept indefinitely: it's our proof of consent,
+// so it's an append-only log - recording one never rewrites the rest.
+const entries = createLog('consent-log');
+
+const CSV_COLUMNS = [
+  'id', 'at', 'email', 'phone', 'email_consent', 'sms_consent', 'opt_in_level', 'consent_version',
+  'consent_text', 'source', 'form', 'ip', 'user_agent', 'payment_intent_id'
+];
+
+function recordConsent(consent) {
+  return entries.append({
+    id: `con_${crypto.randomUUID()}`,
+    at: new Date().toISOString(),
+    ...consent
+  });
+}
+
+// Oldest first, so an export reads as a history. since/until are ISO timestamps
+function listConsent({ email, since, until } = {}) {
+  return entries.values()
+    .filter(entry => !email || entry.email === email)
+    .filter(entry => !since || entry.at >= since)
+    .filter(entry => !until || entry.at < until)
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  // Form input can start with =, + etc. - keep spreadsheets from running it as a formula
+  const text = /^[=+\-@]/.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(consents) {
+  const rows = consents.map(entry => CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  recordConsent,
+  listConsent,
+  toCsv
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const funnels = require('./funnels');
+const outboundWebhooks = require('./outbound-webhooks');
+
+// Where funnel events go. A sink handles some of the event types below; the
+// config turns sinks on by default or per funnel, and defines outbound webhook
+// sinks that need no code:
+//   "default": ["shopify_customer", ...]           sinks for events outside a listed funnel
+//   "funnels": { "<funnel id>": [...] }            replaces the default for that funnel
+//   "webhooks": { "<name>": { "url", "events", "secret_env" | "format": "slack" } }
+const CONFIG_PATH = process.env.DESTINATIONS_CONFIG || path.join(__dirname, '..', 'config', 'destinations.json');
+
+const EVENT_TYPES = ['lead.created', 'lead.confirmed', 'purchase', 'upsell', 'refund'];
+const WEBHOOK_FORMATS = ['json', 'slack'];
+
+function validateConfig(config) {
+  const problems = [];
+
+  if (!Array.isArray(config.default)) {
+    problems.push('default must be a list of sinks');
+  }
+
+  for (const funnelId of Object.keys(config.funnels || {})) {
+    if (!funnels.getFunnel(funnelId)) {
+      problems.push(`funnels: unknown funnel ${funnelId}`);
+    }
+    if (!Array.isArray(config.funnels[funnelId])) {
+      problems.push(`funnels.${funnelId} must be a list of sinks`);
+    }
+  }
+
+  for (const [name, webhook] of Object.entries(config.webhooks || {})) {
+    const format = webhook.format || 'json';
+    if (!/^https:\/\/\S+$/.test(webhook.url) && !/^http:\/\/(localhost|127\.0\.0\.1)[:/]\S*$/.test(webhook.url)) {
+      problems.push(`webhook ${name}: url must be https (plain http only for localhost)`);
+    }
+    if (!Array.isArray(webhook.events) || webhook.events.length === 0 ||
+        !webhook.events.every(event => EVENT_TYPES.includes(event))) {
+      problems.push(`webhook ${name}: events must be a non-empty list of ${EVENT_TYPES.join(', ')}`);
+    }
+    if (!WEBHOOK_FORMATS.includes(format)) {
+      problems.push(`webhook ${name}: format must be one of ${WEBHOOK_FORMATS.join(', ')}`);
+    }
+    if (format === 'json' && (typeof webhook.secret_env !== 'string' || !webhook.secret_env)) {
+      problems.push(`webhook ${name}: secret_env must name the environment variable holding its signing secret`);
+    }
+  }
+
+  return problems;
+}
+
+function loadConfig() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read destinations config ${CONFIG_PATH}: ${error.message}`);
+  }
+
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid destinations config ${CONFIG_PATH}:\n- ${problems.join('\n- ')}`);
+  }
+
+  return config;
+}
+
+const config = loadConfig();
+const sinks = new Map();
+
+// handlers maps the event types a sink takes to async (data, eventId) => result.
+// eventId is stable across retries of the same event
+function registerSink(name, handlers) {
+  const unknown = Object.keys(handlers).filter(eventType => !EVENT_TYPES.includes(eventType));
+  if (unknown.length > 0) {
+    throw new Error(`Sink ${name} handles unknown event types: ${unknown.join(', ')}`);
+  }
+  if (sinks.has(name)) {
+    throw new Error(`Sink ${name} is already registered`);
+  }
+
+  sinks.set(name, {
+    name: name,
+    events: Object.keys(handlers),
+    handle: (eventType, data, eventId) => handlers[eventType](data, eventId)
+  });
+}
+
+for (const [name, webhook] of Object.entries(config.webhooks || {})) {
+  const settings = { name, format: 'json', ...webhook };
+  registerSink(name, Object.fromEntries(webhook.events.map(eventType => [
+    eventType,
+    (data, eventId) => outboundWebhooks.deliver(settings, eventType, data, eventId)
+  ])));
+}
+
+// Called once the built-in sinks are registered - every sink the config turns
+// on has to exist by then
+function checkConfiguredSinks() {
+  const lists = [['default', config.default], ...Object.entries(config.funnels || {}).map(([id, list]) => [`funnels.${id}`, list])];
+  const problems = [];
+
+  for (const [label, list] of lists) {
+    for (const name of list) {
+      if (!sinks.has(name)) {
+        problems.push(`${label}: unknown sink ${name}`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid destinations config ${CONFIG_PATH}:\n- ${problems.join('\n- ')}`);
+  }
+}
+
+function getSink(name) {
+  return sinks.get(name) || null;
+}
+
+// Sinks turned on for the funnel (or the default list) that handle this event, in config order
+function sinksFor(eventType, funnelId) {
+  const names = (funnelId && config.funnels?.[funnelId]) || config.default;
+  return names.map(name => sinks.get(name)).filter(sink => sink && sink.events.includes(eventType));
+}
+
+function listSinks() {
+  return [...sinks.values()].map(sink => ({ name: sink.name, events: sink.events }));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  registerSink,
+  checkConfiguredSinks,
+  getSink,
+  sinksFor,
+  listSinks
+};
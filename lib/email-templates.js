@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+// Email templates live in templates/email as <name>.txt and <name>.html. The
+// .txt starts with a "Subject: ..." line. Placeholders are mustache-style:
+//   {{name}}               value (HTML-escaped in the .html version)
+//   {{{name}}}             value as-is, for pre-built HTML
+//   {{#name}}...{{/name}}  only kept when the value is set
+const TEMPLATES_DIR = process.env.EMAIL_TEMPLATES_DIR || path.join(__dirname, '..', 'templates', 'email');
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function readTemplate(name, extension) {
+  try {
+    return fs.readFileSync(path.join(TEMPLATES_DIR, `${name}.${extension}`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function hasTemplate(name) {
+  return readTemplate(name, 'txt') !== null;
+}
+
+function fill(template, vars, escape) {
+  const isSet = (key) => vars[key] !== undefined && vars[key] !== null && vars[key] !== '' && vars[key] !== false;
+
+  return template
+    // Section tags on lines of their own take their line with them
+    .replace(/^[ \t]*\{\{#(\w+)\}\}[ \t]*\n([\s\S]*?)^[ \t]*\{\{\/\1\}\}[ \t]*(\n|$)/gm, (match, key, inner) => isSet(key) ? inner : '')
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, key, inner) => isSet(key) ? inner : '')
+    .replace(/\{\{\{(\w+)\}\}\}/g, (match, key) => isSet(key) ? String(vars[key]) : '')
+    .replace(/\{\{(\w+)\}\}/g, (match, key) => isSet(key) ? escape(vars[key]) : '');
+}
+
+// Returns { subject, text, html } - html is null if the template has no .html version
+function render(name, vars) {
+  const text = readTemplate(name, 'txt');
+  if (text === null) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const [firstLine, ...body] = text.split('\n');
+  if (!firstLine.startsWith('Subject:')) {
+    throw new Error(`Email template ${name}.txt must start with a "Subject:" line`);
+  }
+
+  const html = readTemplate(name, 'html');
+
+  return {
+    subject: fill(firstLine.slice('Subject:'.length).trim(), vars, String),
+    text: fill(body.join('\n').replace(/^\n+/, ''), vars, String),
+    html: html === null ? null : fill(html, vars, escapeHtml)
+  };
+}
+
+module.exports = {
+  hasTemplate,
+  render,
+  escapeHtml
+};
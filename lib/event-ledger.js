@@ -0,0 +1,211 @@
+const { createStore } = require('./store');
+const logger = require('./logger');
+
+// Every Stripe event we have seen, and the post-purchase steps run for each payment
+const events = createStore('stripe-events');
+const payments = createStore('processed-payments');
+
+// Steps recorded under an earlier name. Payments synced before Klaviyo became a
+// destination sink have klaviyo_event, which must still count as the klaviyo step
+const RENAMED_STEPS = { klaviyo_event: 'klaviyo' };
+
+// A "processing" record older than this is treated as abandoned (crash or restart)
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+// Record the event as in-flight, or report it as a duplicate we should skip
+function startEvent(event, objectId) {
+  const now = new Date().toISOString();
+  const existing = events.get(event.id);
+
+  if (existing) {
+    const isFinished = existing.status === 'completed' || existing.status === 'ignored';
+    // Queued events are owned by the durable job queue, which does its own retrying
+    const isInFlight = existing.status === 'queued' || (existing.status === 'processing' &&
+      Date.now() - new Date(existing.updated_at).getTime() < STALE_PROCESSING_MS);
+
+    if (isFinished || isInFlight) {
+      return { duplicate: true, record: existing };
+    }
+  }
+
+  const record = events.set(event.id, {
+    id: event.id,
+    type: event.type,
+    object_id: objectId || event.data?.object?.id || null,
+    status: 'processing',
+    attempts: (existing?.attempts || 0) + 1,
+    error: null,
+    received_at: existing?.received_at || now,
+    updated_at: now
+  });
+
+  return { duplicate: false, resumed: !!existing, record };
+}
+
+// Handed to the job queue - lastError is set when a retry is pending
+function queueEvent(eventId, jobId, lastError) {
+  return events.update(eventId, {
+    status: 'queued',
+    job_id: jobId,
+    error: lastError ? lastError.message || String(lastError) : null,
+    updated_at: new Date().toISOString()
+  });
+}
+
+function completeEvent(eventId) {
+  return events.update(eventId, {
+    status: 'completed',
+    error: null,
+    updated_at: new Date().toISOString()
+  });
+}
+
+// Event types we acknowledge but don't act on - still recorded so redeliveries are skipped
+function ignoreEvent(eventId) {
+  return events.update(eventId, {
+    status: 'ignored',
+    updated_at: new Date().toISOString()
+  });
+}
+
+function failEvent(eventId, error) {
+  return events.update(eventId, {
+    status: 'failed',
+    error: error?.message || String(error),
+    updated_at: new Date().toISOString()
+  });
+}
+
+function getEvent(eventId) {
+  return events.get(eventId);
+}
+
+// The payment's record with any renamed steps under their current names
+function loadPayment(paymentIntentId) {
+  const record = payments.get(paymentIntentId);
+  if (!record?.steps || !Object.keys(RENAMED_STEPS).some(name => record.steps[name])) {
+    return record;
+  }
+
+  const steps = { ...record.steps };
+  for (const [oldName, newName] of Object.entries(RENAMED_STEPS)) {
+    if (steps[oldName]) {
+      steps[newName] = steps[newName] || steps[oldName];
+      delete steps[oldName];
+    }
+  }
+  return { ...record, steps };
+}
+
+function getPayment(paymentIntentId) {
+  return loadPayment(paymentIntentId);
+}
+
+// Attach lifecycle state (refunds, disputes) to an existing payment record
+function updatePayment(paymentIntentId, changes) {
+  return payments.update(paymentIntentId, {
+    ...changes,
+    updated_at: new Date().toISOString()
+  });
+}
+
+// Value a completed step returned (e.g. the Shopify order id), if any
+function getStepResult(paymentIntentId, stepName) {
+  const step = loadPayment(paymentIntentId)?.steps?.[stepName];
+  return step?.status === 'completed' ? step.result : null;
+}
+
+// Mark completed steps to run again on the next delivery (an admin resend).
+// The earlier result is kept alongside until the step runs again.
+function resetPaymentSteps(paymentIntentId, stepNames) {
+  const record = loadPayment(paymentIntentId);
+  if (!record) {
+    return null;
+  }
+
+  const steps = { ...record.steps };
+  for (const name of stepNames) {
+    if (steps[name]) {
+      steps[name] = {
+        status: 'reset',
+        attempts: steps[name].attempts,
+        previous_result: steps[name].result ?? null,
+        reset_at: new Date().toISOString()
+      };
+    }
+  }
+
+  return payments.update(paymentIntentId, { steps, updated_at: new Date().toISOString() });
+}
+
+// Run each named step once per payment intent - steps that already succeeded
+// on an earlier delivery are skipped, failed ones are retried
+async function runPaymentSteps(paymentIntentId, eventId, steps) {
+  const record = loadPayment(paymentIntentId) || {
+    payment_intent_id: paymentIntentId,
+    steps: {},
+    created_at: new Date().toISOString()
+  };
+  const pending = Object.keys(steps).filter(name => record.steps[name]?.status !== 'completed');
+
+  payments.set(paymentIntentId, {
+    ...record,
+    event_id: eventId,
+    status: 'processing',
+    updated_at: new Date().toISOString()
+  });
+
+  if (pending.length < Object.keys(steps).length) {
+    logger.info('Skipping completed post-purchase steps', { payment_intent_id: paymentIntentId, running: pending });
+  }
+
+  const results = await Promise.allSettled(pending.map(name => steps[name]()));
+
+  const current = payments.get(paymentIntentId);
+  const failed = [];
+  const permanent = [];
+
+  pending.forEach((name, index) => {
+    const result = results[index];
+    const attempts = (current.steps[name]?.attempts || 0) + 1;
+
+    if (result.status === 'fulfilled') {
+      current.steps[name] = {
+        status: 'completed',
+        attempts,
+        result: result.value ?? null,
+        completed_at: new Date().toISOString()
+      };
+    } else {
+      // Errors marked retryable: false (e.g. Shopify rejecting the data) won't pass on retry
+      const retryable = result.reason?.retryable !== false;
+      failed.push(name);
+      if (!retryable) {
+        permanent.push(name);
+      }
+      current.steps[name] = { status: 'failed', attempts, retryable, error: result.reason?.message || String(result.reason) };
+    }
+  });
+
+  payments.set(paymentIntentId, {
+    ...current,
+    status: failed.length > 0 ? 'failed' : 'completed',
+    updated_at: new Date().toISOString()
+  });
+
+  return { ran: pending, failed, permanent };
+}
+
+module.exports = {
+  startEvent,
+  queueEvent,
+  completeEvent,
+  ignoreEvent,
+  failEvent,
+  getEvent,
+  getPayment,
+  updatePayment,
+  getStepResult,
+  resetPaymentSteps,
+  runPaymentSteps
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Declarative funnel definitions - products, prices, step order, Shopify tags
+// and purchase types. Loaded once at startup; an invalid file stops the server.
+const CONFIG_PATH = process.env.FUNNELS_CONFIG || path.join(__dirname, '..', 'config', 'funnels.json');
+
+const STEP_TYPES = ['main', 'upsell', 'downsell'];
+
+// Charges default to one currency; more can be enabled per country. Products are priced
+// in the default currency by "prices" and in others by "currency_prices" (or Stripe's
+// currency_options on the product's price when no local list is configured)
+const DEFAULT_CURRENCIES = {
+  default: 'usd',
+  supported: ['usd'],
+  countries: {}
+};
+
+// installments: N charges then the plan ends; subscription: recurring until cancelled
+const PLAN_TYPES = ['installments', 'subscription'];
+
+function validateConfig(config) {
+  const problems = [];
+  const products = config.products || {};
+  const funnels = config.funnels || {};
+  const currencies = { ...DEFAULT_CURRENCIES, ...config.currencies };
+
+  if (!Array.isArray(currencies.supported) || !currencies.supported.includes(currencies.default)) {
+    problems.push('currencies: supported must be a list that includes the default currency');
+  }
+  for (const [country, currency] of Object.entries(currencies.countries || {})) {
+    if (!(currencies.supported || []).includes(currency)) {
+      problems.push(`currencies: country ${country} maps to unsupported currency ${currency}`);
+    }
+  }
+
+  if (Object.keys(products).length === 0) {
+    problems.push('no products defined');
+  }
+
+  for (const [productId, product] of Object.entries(products)) {
+    if (!productId.startsWith('prod_')) {
+      problems.push(`product ${productId}: key must be a Stripe product id`);
+    }
+    if (!product.name || typeof product.name !== 'string') {
+      problems.push(`product ${productId}: missing name`);
+    }
+    if (!Array.isArray(product.prices) || product.prices.length === 0 ||
+        !product.prices.every(price => Number.isInteger(price) && price > 0)) {
+      problems.push(`product ${productId}: prices must be a non-empty list of amounts in cents`);
+    }
+    if (!product.shopify_tag || typeof product.shopify_tag !== 'string') {
+      problems.push(`product ${productId}: missing shopify_tag`);
+    }
+    if (!product.purchase_type || typeof product.purchase_type !== 'string') {
+      problems.push(`product ${productId}: missing purchase_type`);
+    }
+    for (const [currency, prices] of Object.entries(product.currency_prices || {})) {
+      if (!(currencies.supported || []).includes(currency) ||
+          !Array.isArray(prices) || !prices.every(price => Number.isInteger(price) && price > 0)) {
+        problems.push(`product ${productId}: currency_prices.${currency} must be a supported currency with amounts in minor units`);
+      }
+    }
+    if (product.access !== undefined) {
+      const access = product.access;
+      if (access.login_url !== undefined && !/^https:\/\/\S+$/.test(access.login_url)) {
+        problems.push(`product ${productId}: access.login_url must be an https URL`);
+      }
+      if (access.instructions !== undefined && typeof access.instructions !== 'string') {
+        problems.push(`product ${productId}: access.instructions must be text`);
+      }
+    }
+    if (product.plan !== undefined) {
+      const plan = product.plan;
+      if (!PLAN_TYPES.includes(plan.type)) {
+        problems.push(`product ${productId}: plan type must be one of ${PLAN_TYPES.join(', ')}`);
+      }
+      if (typeof plan.price_id !== 'string' || !plan.price_id.startsWith('price_')) {
+        problems.push(`product ${productId}: plan needs a recurring Stripe price_id`);
+      }
+      if (plan.type === 'installments' && (!Number.isInteger(plan.installments) || plan.installments < 2)) {
+        problems.push(`product ${productId}: installment plans need installments of 2 or more`);
+      }
+    }
+  }
+
+  if (Object.keys(funnels).length === 0) {
+    problems.push('no funnels defined');
+  }
+
+  for (const [funnelId, funnel] of Object.entries(funnels)) {
+    const steps = Array.isArray(funnel.steps) ? funnel.steps : [];
+    const stepIds = new Set(steps.map(step => step.id));
+
+    if (steps.length === 0) {
+      problems.push(`funnel ${funnelId}: no steps defined`);
+      continue;
+    }
+    if (steps[0].type !== 'main' || steps.filter(step => step.type === 'main').length !== 1) {
+      problems.push(`funnel ${funnelId}: the first step, and only the first, must be the main purchase`);
+    }
+    if (stepIds.size !== steps.length) {
+      problems.push(`funnel ${funnelId}: step ids must be unique`);
+    }
+
+    for (const step of steps) {
+      const label = `funnel ${funnelId} step ${step.id}`;
+      if (!step.id || typeof step.id !== 'string') {
+        problems.push(`funnel ${funnelId}: every step needs an id`);
+      }
+      if (!STEP_TYPES.includes(step.type)) {
+        problems.push(`${label}: type must be one of ${STEP_TYPES.join(', ')}`);
+      }
+      if (!products[step.product]) {
+        problems.push(`${label}: unknown product ${step.product}`);
+      }
+      if (step.price !== undefined && !(products[step.product]?.prices || []).includes(step.price)) {
+        problems.push(`${label}: price ${step.price} is not one of the product's prices`);
+      }
+      if (step.order_bumps !== undefined &&
+          (step.type !== 'main' || !Array.isArray(step.order_bumps) || !step.order_bumps.every(id => products[id]))) {
+        problems.push(`${label}: order_bumps must be a list of known products on the main step`);
+      }
+      for (const field of ['next', 'on_decline']) {
+        if (step[field] && !stepIds.has(step[field])) {
+          problems.push(`${label}: ${field} points to unknown step ${step[field]}`);
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+function loadConfig() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read funnel config ${CONFIG_PATH}: ${error.message}`);
+  }
+
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid funnel config ${CONFIG_PATH}:\n- ${problems.join('\n- ')}`);
+  }
+
+  logger.info('Funnel config loaded', { funnels: Object.keys(config.funnels).length, products: Object.keys(config.products).length, path: CONFIG_PATH });
+  return config;
+}
+
+const config = loadConfig();
+
+const currencies = { ...DEFAULT_CURRENCIES, ...config.currencies };
+
+function getDefaultCurrency() {
+  return currencies.default;
+}
+
+function isSupportedCurrency(currency) {
+  return currencies.supported.includes(currency);
+}
+
+// Currency for a two-letter country code, falling back to the default
+function currencyForCountry(country) {
+  return (currencies.countries || {})[country] || currencies.default;
+}
+
+// Configured prices for a product in a currency - null when none are configured locally
+function getProductPrices(product, currency) {
+  if (currency === currencies.default) {
+    return product.prices;
+  }
+  return product.currency_prices?.[currency] || null;
+}
+
+function getProduct(productId) {
+  const product = config.products[productId];
+  return product ? { id: productId, ...product } : null;
+}
+
+function listProducts() {
+  return Object.keys(config.products).map(getProduct);
+}
+
+function getFunnel(funnelId) {
+  const funnel = config.funnels[funnelId];
+  return funnel ? { id: funnelId, ...funnel } : null;
+}
+
+function listFunnels() {
+  return Object.keys(config.funnels).map(getFunnel);
+}
+
+function getMainStep(funnel) {
+  return funnel.steps.find(step => step.type === 'main');
+}
+
+function getStep(funnel, stepId) {
+  return funnel.steps.find(step => step.id === stepId) || null;
+}
+
+// What the checkout pages show next - an offer step, or the thank-you page when the funnel is done.
+// Amounts are in the buyer's checkout currency; step prices only apply to the default currency
+function describeOffer(funnel, stepId, currency = currencies.default) {
+  const step = stepId ? getStep(funnel, stepId) : null;
+
+  if (!step) {
+    return { next_offer: null, redirect_url: funnel.thank_you_url || null };
+  }
+
+  const product = getProduct(step.product);
+  const prices = getProductPrices(product, currency);
+  const amount = currency === currencies.default ? (step.price || prices[0]) : (prices?.[0] ?? null);
+
+  return {
+    next_offer: {
+      step_id: step.id,
+      type: step.type,
+      product_id: product.id,
+      name: product.name,
+      amount: amount,
+      currency: currency
+    },
+    redirect_url: step.page_url || null
+  };
+}
+
+function findFunnelByMainProduct(productId) {
+  return listFunnels().find(funnel => getMainStep(funnel).product === productId) || null;
+}
+
+function findProductByPurchaseType(purchaseType) {
+  const productId = Object.keys(config.products).find(id => config.products[id].purchase_type === purchaseType);
+  return productId ? getProduct(productId) : null;
+}
+
+module.exports = {
+  getDefaultCurrency,
+  isSupportedCurrency,
+  currencyForCountry,
+  getProductPrices,
+  getProduct,
+  listProducts,
+  getFunnel,
+  listFunnels,
+  getMainStep,
+  getStep,
+  describeOffer,
+  findFunnelByMainProduct,
+  findProductByPurchaseType
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const logger = require('./logger');
+
+// Stored responses for idempotent checkout requests, so a double-click or a
+// network retry gets the original answer instead of a second charge
+const records = createStore('idempotency-keys');
+
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+function isExpired(record) {
+  return new Date(record.created_at).getTime() < Date.now() - RETENTION_MS;
+}
+
+// Swept hourly rather than per request - lookups skip expired records meanwhile
+function pruneExpired() {
+  for (const [key, record] of records.entries()) {
+    if (isExpired(record)) {
+      records.delete(key);
+    }
+  }
+}
+
+pruneExpired();
+setInterval(pruneExpired, PRUNE_INTERVAL_MS).unref();
+
+function isValidKey(key) {
+  return typeof key === 'string' && key.length >= 8 && key.length <= 255;
+}
+
+// Middleware: the key comes from the Idempotency-Key header or body.idempotency_key,
+// or deriveKey(req) (e.g. from a checkout session id). fingerprint(req) lists the
+// request fields that must match for a repeat to count as the same request.
+// onReplay(body) can update a stored response before it is sent again.
+// Sets req.idempotencyKey for passing through to Stripe.
+function idempotent(scope, { deriveKey, fingerprint, onReplay }) {
+  return (req, res, next) => {
+    const clientKey = req.get('Idempotency-Key') || req.body?.idempotency_key;
+    const key = clientKey || (deriveKey ? deriveKey(req) : null);
+
+    if (!key) {
+      return next();
+    }
+
+    if (!isValidKey(key)) {
+      return res.status(400).json({ error: 'Invalid idempotency key' });
+    }
+
+    const recordKey = `${scope}:${key}`;
+    const requestHash = hash(fingerprint(req));
+    const stored = records.get(recordKey);
+    const existing = stored && !isExpired(stored) ? stored : null;
+
+    if (existing) {
+      const isStale = existing.status === 'in_progress' &&
+        Date.now() - new Date(existing.created_at).getTime() > IN_PROGRESS_TIMEOUT_MS;
+
+      if (existing.request_hash !== requestHash && !isStale) {
+        return res.status(422).json({ error: 'Idempotency key was already used for a different request' });
+      }
+
+      if (existing.status === 'completed') {
+        logger.info('Replaying stored response', { idempotency_key: recordKey });
+        res.set('Idempotent-Replayed', 'true');
+        const body = onReplay ? onReplay(existing.response_body) : existing.response_body;
+        return res.status(existing.response_status).json(body);
+      }
+
+      if (!isStale) {
+        return res.status(409).json({ error: 'This request is already being processed' });
+      }
+    }
+
+    records.set(recordKey, {
+      status: 'in_progress',
+      request_hash: requestHash,
+      created_at: new Date().toISOString()
+    });
+
+    // Stripe keys include the request hash, so a retry after a decline with a
+    // different card is a fresh attempt rather than Stripe's cached decline
+    req.idempotencyKey = `${scope}_${hash([key, requestHash]).slice(0, 48)}`;
+
+    // Successful responses are kept for replay; errors release the key so the
+    // buyer can correct their details and try again
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 400) {
+        records.update(recordKey, {
+          status: 'completed',
+          response_status: res.statusCode,
+          response_body: body,
+          completed_at: new Date().toISOString()
+        });
+      } else {
+        records.delete(recordKey);
+      }
+      return originalJson(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  idempotent
+};
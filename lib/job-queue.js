@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const logger = require('./logger');
+
+// Durable background jobs - survive restarts, retry with exponential backoff,
+// and land in the dead-letter list once they run out of attempts
+const jobs = createStore('jobs');
+const handlers = new Map();
+
+const POLL_INTERVAL_MS = 1000;
+const BASE_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MS, 10) || 5000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 8;
+const COMPLETED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+let timer = null;
+let isTicking = false;
+
+function registerHandler(type, handler, options = {}) {
+  handlers.set(type, { handler, onDeadLetter: options.onDeadLetter });
+}
+
+function enqueue(type, payload, options = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `job_${crypto.randomUUID()}`,
+    type: type,
+    payload: payload,
+    status: 'pending',
+    attempts: 0,
+    max_attempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    run_at: now,
+    last_error: null,
+    // Correlation ids of whatever queued it (e.g. the request), for the job's own log lines
+    context: logger.currentContext(),
+    created_at: now,
+    updated_at: now
+  };
+
+  jobs.set(job.id, job);
+  logger.info('Job queued', { job_id: job.id, job_type: type });
+  return job;
+}
+
+// Exponential backoff with up to 20% jitter so retries don't stampede Shopify
+function backoffDelay(attempts) {
+  const delay = Math.min(BASE_BACKOFF_MS * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+async function runJob(job) {
+  const registered = handlers.get(job.type);
+  const attempts = job.attempts + 1;
+
+  if (!registered) {
+    jobs.update(job.id, {
+      status: 'dead',
+      attempts: attempts,
+      last_error: `No handler registered for job type: ${job.type}`,
+      updated_at: new Date().toISOString()
+    });
+    return;
+  }
+
+  jobs.update(job.id, { status: 'running', attempts: attempts, updated_at: new Date().toISOString() });
+
+  try {
+    await registered.handler(job.payload, { ...job, attempts });
+
+    // Completed jobs are kept a while for the record, but their payload (whole
+    // Stripe objects, for webhook jobs) isn't - they can't be replayed anyway
+    jobs.update(job.id, {
+      status: 'completed',
+      payload: null,
+      last_error: null,
+      completed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    logger.info('Job completed');
+
+  } catch (error) {
+    const message = error?.message || String(error);
+
+    // Handlers throw errors with retryable: false when another attempt can't succeed
+    if (attempts >= job.max_attempts || error?.retryable === false) {
+      const deadJob = jobs.update(job.id, {
+        status: 'dead',
+        last_error: message,
+        updated_at: new Date().toISOString()
+      });
+      logger.error('Job moved to dead-letter', { attempts: attempts, error: message });
+
+      if (registered.onDeadLetter) {
+        try {
+          await registered.onDeadLetter(job.payload, deadJob, error);
+        } catch (hookError) {
+          logger.error('Dead-letter hook failed', { error: hookError });
+        }
+      }
+      return;
+    }
+
+    const delay = backoffDelay(attempts);
+    jobs.update(job.id, {
+      status: 'pending',
+      last_error: message,
+      run_at: new Date(Date.now() + delay).toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    logger.warn('Job failed, retrying', { attempts: attempts, max_attempts: job.max_attempts, retry_in_s: Math.round(delay / 1000), error: message });
+  }
+}
+
+function pruneCompleted() {
+  const cutoff = Date.now() - COMPLETED_RETENTION_MS;
+  for (const [id, job] of jobs.entries()) {
+    if (job.status === 'completed' && new Date(job.completed_at).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+// Run due jobs one at a time, oldest first
+async function tick() {
+  if (isTicking) {
+    return;
+  }
+  isTicking = true;
+
+  try {
+    const now = Date.now();
+    const due = jobs.values()
+      .filter(job => job.status === 'pending' && new Date(job.run_at).getTime() <= now)
+      .sort((a, b) => new Date(a.run_at) - new Date(b.run_at));
+
+    for (const job of due) {
+      await logger.withContext({ ...job.context, job_id: job.id, job_type: job.type }, () => runJob(job));
+    }
+
+    pruneCompleted();
+  } catch (error) {
+    logger.error('Job queue tick failed', { error });
+  } finally {
+    isTicking = false;
+  }
+}
+
+function start() {
+  if (timer) {
+    return;
+  }
+
+  // Jobs that were mid-run when the process died go back in the queue
+  for (const job of jobs.values()) {
+    if (job.status === 'running') {
+      jobs.update(job.id, { status: 'pending', run_at: new Date().toISOString() });
+      logger.info('Recovered interrupted job', { job_id: job.id, job_type: job.type });
+    }
+  }
+
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+function listJobs(status) {
+  return jobs.values()
+    .filter(job => !status || job.status === status)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+function getJob(id) {
+  return jobs.get(id);
+}
+
+// Put a dead (or stuck pending) job back at the front of the queue with fresh attempts
+function replayJob(id) {
+  const job = jobs.get(id);
+  if (!job || job.status === 'running' || job.status === 'completed') {
+    return null;
+  }
+
+  return jobs.update(id, {
+    status: 'pending',
+    attempts: 0,
+    run_at: new Date().toISOString(),
+    replayed_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  start,
+  stop,
+  listJobs,
+  getJob,
+  replayJob
+};
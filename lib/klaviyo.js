@@ -0,0 +1,119 @@
+const logger = require('./logger');
+
+// Klaviyo API client - profile upserts and funnel events (opt-ins, purchases,
+// refunds) that the Shopify customer sync doesn't carry over. Errors carry
+// `retryable` for the job queue, like the Shopify client.
+const API_URL = (process.env.KLAVIYO_API_URL || 'https://a.klaviyo.com/api').replace(/\/$/, '');
+const REVISION = process.env.KLAVIYO_REVISION || '2024-10-15';
+const MAX_RETRIES = 3;
+
+class KlaviyoError extends Error {
+  constructor(message, { status = null, errors = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'KlaviyoError';
+    this.status = status;
+    this.errors = errors;
+    this.retryable = retryable;
+  }
+}
+
+// On when there's a key, unless KLAVIYO_ENABLED=false switches it off
+function isEnabled() {
+  return !!process.env.KLAVIYO_API_KEY && process.env.KLAVIYO_ENABLED !== 'false';
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function request(method, path, body) {
+  if (!process.env.KLAVIYO_API_KEY) {
+    throw new KlaviyoError('Klaviyo API key not configured');
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(`${API_URL}/${path}`, {
+      method: method,
+      headers: {
+        'Authorization': `Klaviyo-API-Key ${process.env.KLAVIYO_API_KEY}`,
+        'revision': REVISION,
+        'Accept': 'application/vnd.api+json',
+        'Content-Type': 'application/vnd.api+json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 429 && attempt < MAX_RETRIES) {
+      const retryAfter = parseFloat(response.headers.get('Retry-After'));
+      const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : 1000 * Math.pow(2, attempt);
+      logger.warn('Klaviyo throttled, retrying', { method: method, path: path, delay_ms: delay });
+      await sleep(delay);
+      continue;
+    }
+
+    const text = await response.text();
+    let result = null;
+    try {
+      result = text ? JSON.parse(text) : null;
+    } catch (error) {
+      result = text;
+    }
+
+    if (!response.ok) {
+      const errors = result?.errors || result;
+      const detail = Array.isArray(errors) ? errors.map(error => error.detail || error.title).join('; ') : JSON.stringify(errors);
+      throw new KlaviyoError(`Klaviyo ${method} ${path} failed: ${response.status} ${detail}`, {
+        status: response.status,
+        errors: errors,
+        // Rejected data (4xx) won't pass on a retry; throttling and outages will
+        retryable: response.status === 429 || response.status >= 500
+      });
+    }
+
+    return result;
+  }
+}
+
+// Klaviyo only takes E.164 numbers - anything else would fail the whole call
+function profileAttributes({ email, phone, first_name, last_name, properties }) {
+  return {
+    email: email,
+    phone_number: phone && /^\+[1-9]\d{7,14}$/.test(phone) ? phone : undefined,
+    first_name: first_name || undefined,
+    last_name: last_name || undefined,
+    properties: properties && Object.keys(properties).length > 0 ? properties : undefined
+  };
+}
+
+// Create or update by email. Returns the Klaviyo profile id
+async function upsertProfile(profile) {
+  const result = await request('POST', 'profile-import/', {
+    data: { type: 'profile', attributes: profileAttributes(profile) }
+  });
+  return result?.data?.id || null;
+}
+
+// uniqueId makes the event safe to send twice - Klaviyo keeps one per metric and id
+async function trackEvent(metricName, profile, properties, { value, valueCurrency, uniqueId, time } = {}) {
+  await request('POST', 'events/', {
+    data: {
+      type: 'event',
+      attributes: {
+        properties: properties,
+        metric: { data: { type: 'metric', attributes: { name: metricName } } },
+        profile: { data: { type: 'profile', attributes: profileAttributes(profile) } },
+        value: value,
+        value_currency: valueCurrency,
+        unique_id: uniqueId,
+        time: time || new Date().toISOString()
+      }
+    }
+  });
+}
+
+module.exports = {
+  KlaviyoError,
+  isEnabled,
+  upsertProfile,
+  trackEvent
+};
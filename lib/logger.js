@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logs - one JSON object per line on stdout:
+//   {"time":"...","level":"info","msg":"Payment succeeded","request_id":"req_...","payment_intent_id":"pi_..."}
+// Lines written while handling a request, or running a job that request queued,
+// carry its request_id. LOG_LEVEL (debug, info, warn, error - default info) drops
+// anything quieter; LOG_FORMAT=pretty prints readable lines for local development.
+// Emails, phone numbers, names and addresses are masked before anything is written.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const level = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info';
+const minLevel = LEVELS[level];
+const pretty = process.env.LOG_FORMAT === 'pretty';
+const context = new AsyncLocalStorage();
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const PHONE_PATTERN = /\+\d[\d\s().-]{6,18}(\d{4})\b/g;
+const PHONE_KEY = /phone/i;
+const NAME_KEY = /^(name|first_name|last_name|customer_name|firstName|lastName)$/;
+const ADDRESS_KEY = /^(address|billing_address|line1|line2|address1|address2|city|postal_code|zip)$/;
+const MAX_DEPTH = 6;
+
+function maskString(value) {
+  return value
+    .replace(EMAIL_PATTERN, '$1***@$2')
+    .replace(PHONE_PATTERN, '***$1');
+}
+
+function maskName(value) {
+  return typeof value === 'string' && value ? `${value.trim()[0]}***` : value;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: maskString(error.message || ''),
+    code: error.code,
+    status: error.status ?? error.statusCode,
+    stack: error.stack ? maskString(error.stack) : undefined
+  };
+}
+
+// Walks the fields masking by key (a "phone" is masked whatever it looks like)
+// and by content (an email inside a message is still an email)
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (ADDRESS_KEY.test(key)) {
+    return '[redacted]';
+  }
+  if (typeof value === 'string') {
+    if (NAME_KEY.test(key)) {
+      return maskName(value);
+    }
+    if (PHONE_KEY.test(key)) {
+      return value.length > 4 ? `***${value.slice(-4)}` : '***';
+    }
+    return maskString(value);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, key, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [field, redact(fieldValue, field, depth + 1)]));
+}
+
+function write(entryLevel, msg, fields) {
+  if (LEVELS[entryLevel] < minLevel) {
+    return;
+  }
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level: entryLevel,
+    msg: msg,
+    ...context.getStore(),
+    ...fields
+  });
+
+  if (pretty) {
+    const { time, level: levelName, msg: message, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    process.stdout.write(`${time} ${levelName.toUpperCase().padEnd(5)} ${message}${extra}\n`);
+    return;
+  }
+
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+// A logger that adds the same fields to every line, e.g. { component: 'shopify' }
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', msg, { ...bindings, ...fields }),
+    info: (msg, fields) => write('info', msg, { ...bindings, ...fields }),
+    warn: (msg, fields) => write('warn', msg, { ...bindings, ...fields }),
+    error: (msg, fields) => write('error', msg, { ...bindings, ...fields }),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+  };
+}
+
+// Runs fn with extra correlation fields on every line it logs, including from
+// anything it awaits or schedules
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function currentContext() {
+  return { ...context.getStore() };
+}
+
+const logger = createLogger();
+
+// Every request gets an id - the caller's X-Request-Id if it sent a sane one - that's
+// returned in the response and stamped on every line logged while handling it
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : `req_${crypto.randomUUID()}`;
+  const started = Date.now();
+
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+
+  // The route pattern rather than the path, so tokens in URLs stay out of the logs
+  res.on('finish', () => {
+    logger.info('Request finished', {
+      request_id: requestId,
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || 'unmatched',
+      status: res.statusCode,
+      duration_ms: Date.now() - started
+    });
+  });
+
+  context.run({ request_id: requestId }, next);
+}
+
+module.exports = {
+  ...logger,
+  level,
+  withContext,
+  currentContext,
+  requestContext
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { createStore } = require('./store');
+
+// Transactional email over SMTP (a local catcher like Mailpit works in dev) and a
+// log of every message we tried to send. Send errors carry `retryable` for the job queue.
+const deliveries = createStore('email-deliveries');
+
+const DELIVERY_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+let transport = null;
+
+function isConfigured() {
+  return !!(process.env.SMTP_HOST && process.env.EMAIL_FROM);
+}
+
+function getTransport() {
+  if (!transport) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+// 5xx replies (unknown mailbox, rejected content), bad addresses and bad
+// credentials won't fix themselves; timeouts, dropped connections and 4xx will
+function isRetryable(error) {
+  if (error.responseCode) {
+    return error.responseCode < 500;
+  }
+  return !['EENVELOPE', 'EAUTH', 'EMESSAGE'].includes(error.code);
+}
+
+function pruneOld() {
+  const cutoff = Date.now() - DELIVERY_RETENTION_MS;
+  for (const [id, delivery] of deliveries.entries()) {
+    if (new Date(delivery.created_at).getTime() < cutoff) {
+      deliveries.delete(id);
+    }
+  }
+}
+
+// Logged before sending so a message that never goes out still shows up
+function createDelivery({ template, to, subject, reference }) {
+  pruneOld();
+
+  const id = `eml_${crypto.randomUUID()}`;
+  return deliveries.set(id, {
+    id: id,
+    template: template,
+    to: to,
+    subject: subject,
+    reference: reference || null,
+    status: 'queued',
+    attempts: 0,
+    message_id: null,
+    last_error: null,
+    created_at: new Date().toISOString(),
+    sent_at: null
+  });
+}
+
+async function sendDelivery(deliveryId, { to, subject, text, html }) {
+  const delivery = deliveries.get(deliveryId);
+  if (!delivery) {
+    throw new Error(`Unknown email delivery: ${deliveryId}`);
+  }
+
+  const attempts = delivery.attempts + 1;
+
+  try {
+    const info = await getTransport().sendMail({
+      from: process.env.EMAIL_FROM,
+      replyTo: process.env.EMAIL_REPLY_TO || undefined,
+      to: to,
+      subject: subject,
+      text: text,
+      html: html || undefined
+    });
+
+    return deliveries.update(deliveryId, {
+      status: 'sent',
+      attempts: attempts,
+      message_id: info.messageId || null,
+      last_error: null,
+      sent_at: new Date().toISOString()
+    });
+  } catch (error) {
+    deliveries.update(deliveryId, {
+      status: 'retrying',
+      attempts: attempts,
+      last_error: error.message
+    });
+    error.retryable = isRetryable(error);
+    throw error;
+  }
+}
+
+function markFailed(deliveryId, error) {
+  return deliveries.update(deliveryId, {
+    status: 'failed',
+    last_error: error?.message || String(error)
+  });
+}
+
+// Newest first
+function listDeliveries({ to, status, reference, limit = 100 } = {}) {
+  return deliveries.values()
+    .filter(delivery => !to || delivery.to === to)
+    .filter(delivery => !status || delivery.status === status)
+    .filter(delivery => !reference || delivery.reference === reference)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit);
+}
+
+module.exports = {
+  isConfigured,
+  createDelivery,
+  sendDelivery,
+  markFailed,
+  listDeliveries
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const logger = require('./logger');
+
+// Double opt-in: leads waiting to click the confirmation link we emailed them.
+// The link carries a signed token naming the pending opt-in; the lead's details
+// stay on the server.
+const pending = createStore('pending-optins');
+
+const CONFIRM_WINDOW_HOURS = parseInt(process.env.OPTIN_CONFIRM_HOURS, 10) || 72;
+const CONFIRM_WINDOW_MS = CONFIRM_WINDOW_HOURS * 60 * 60 * 1000;
+// Confirmed entries are kept a little longer so a second click still gets a friendly answer
+const CONFIRMED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+let tokenSecret = process.env.OPTIN_TOKEN_SECRET;
+if (!tokenSecret) {
+  logger.warn('OPTIN_TOKEN_SECRET not set - using a per-process secret (confirmation links will not survive a restart)');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+function isDoubleOptInEnabled() {
+  return process.env.DOUBLE_OPT_IN === 'true';
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', tokenSecret).update(encodedPayload).digest('base64url');
+}
+
+function createPendingOptin(data) {
+  const id = `opt_${crypto.randomUUID()}`;
+  const createdAt = Date.now();
+  const entry = pending.set(id, {
+    id: id,
+    data: data,
+    created_at: new Date(createdAt).toISOString(),
+    expires_at: new Date(createdAt + CONFIRM_WINDOW_MS).toISOString(),
+    confirmed_at: null
+  });
+
+  const encodedPayload = Buffer.from(JSON.stringify({ pid: id, exp: createdAt + CONFIRM_WINDOW_MS })).toString('base64url');
+  return { pending: entry, token: `${encodedPayload}.${sign(encodedPayload)}` };
+}
+
+// Check signature and expiry. Already-confirmed opt-ins are returned too - the
+// caller decides what a repeat click means
+function verifyOptinToken(token) {
+  if (!token || typeof token !== 'string' || !token.includes('.')) {
+    return { error: 'Invalid confirmation link' };
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  const expected = Buffer.from(sign(encodedPayload));
+  const provided = Buffer.from(signature || '');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { error: 'Invalid confirmation link' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Invalid confirmation link' };
+  }
+
+  const entry = pending.get(payload.pid);
+  if (entry?.confirmed_at) {
+    return { pending: entry };
+  }
+
+  if (!payload.exp || Date.now() > payload.exp || !entry) {
+    return { error: 'Confirmation link has expired' };
+  }
+
+  return { pending: entry };
+}
+
+function markConfirmed(id) {
+  return pending.update(id, { confirmed_at: new Date().toISOString() });
+}
+
+// Removes unconfirmed opt-ins past their window (and old confirmed ones) and
+// returns the unconfirmed ones so the caller can clean up after them
+function expirePendingOptins() {
+  const now = Date.now();
+  const expired = [];
+
+  for (const [id, entry] of pending.entries()) {
+    if (entry.confirmed_at) {
+      if (new Date(entry.confirmed_at).getTime() + CONFIRMED_RETENTION_MS < now) {
+        pending.delete(id);
+      }
+    } else if (new Date(entry.expires_at).getTime() < now) {
+      pending.delete(id);
+      expired.push(entry);
+    }
+  }
+
+  return expired;
+}
+
+module.exports = {
+  CONFIRM_WINDOW_HOURS,
+  isDoubleOptInEnabled,
+  createPendingOptin,
+  verifyOptinToken,
+  markConfirmed,
+  expirePendingOptins
+};
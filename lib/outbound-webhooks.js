@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Generic outbound webhooks - JSON POSTs our LMS, automations and alerting can
+// subscribe to. Bodies are signed like Stripe's:
+//   X-Blacksheep-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Receivers should recompute the HMAC with their secret and reject old timestamps.
+const TIMEOUT_MS = 10 * 1000;
+
+class WebhookDeliveryError extends Error {
+  constructor(message, { status = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'WebhookDeliveryError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Slack incoming webhooks only show a "text" field
+function slackText(eventType, data) {
+  const money = (amount, currency) => `${amount} ${(currency || '').toUpperCase()}`.trim();
+
+  switch (eventType) {
+    case 'lead.created':
+      return `🐑 New lead: ${data.email} (${data.form_name} - ${data.lead_magnet})`;
+    case 'lead.confirmed':
+      return `✅ Lead confirmed: ${data.email} (${data.form_name})`;
+    case 'purchase':
+      return `💰 Purchase: ${data.product_name} - ${money(data.amount, data.currency)} by ${data.email}`;
+    case 'upsell':
+      return `🚀 Upsell: ${data.product_name} - ${money(data.amount, data.currency)} by ${data.email}`;
+    case 'refund':
+      return `↩️ Refund: ${money(data.refund_amount, data.currency)} on ${data.payment_intent_id} (${data.email})${data.full_refund ? ' - full refund' : ''}`;
+    default:
+      return `${eventType}: ${data.email || ''}`;
+  }
+}
+
+// One delivery attempt. eventId stays the same across retries so receivers can
+// drop duplicates. Throws WebhookDeliveryError - 4xx answers (other than 408/429)
+// mean the receiver rejected it and aren't retried
+async function deliver(webhook, eventType, data, eventId) {
+  const event = {
+    id: eventId,
+    type: eventType,
+    created_at: new Date().toISOString(),
+    data: data
+  };
+  const body = JSON.stringify(webhook.format === 'slack' ? { text: slackText(eventType, data) } : event);
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (webhook.format !== 'slack') {
+    const secret = process.env[webhook.secret_env];
+    if (!secret) {
+      throw new WebhookDeliveryError(`Webhook ${webhook.name}: ${webhook.secret_env} is not set`, { retryable: false });
+    }
+    const timestamp = Math.floor(Date.now() / 1000);
+    headers['X-Blacksheep-Event'] = eventType;
+    headers['X-Blacksheep-Delivery'] = event.id;
+    headers['X-Blacksheep-Signature'] = `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: headers,
+      body: body,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new WebhookDeliveryError(`Webhook ${webhook.name} unreachable: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw new WebhookDeliveryError(`Webhook ${webhook.name} answered ${response.status}`, { status: response.status, retryable });
+  }
+
+  logger.info('Outbound webhook delivered', { webhook: webhook.name, event_type: eventType, status: response.status });
+  return event.id;
+}
+
+module.exports = {
+  WebhookDeliveryError,
+  deliver
+};
@@ -0,0 +1,33 @@
+// Payment plan bookkeeping shared by invoice handling. Installment plans charge a
+// fixed number of invoices; subscriptions renew until cancelled
+
+// Which installment an invoice is - paid invoices of the subscription up to and
+// including it. Redelivered or late-processed invoices still count from the start
+function installmentNumber(paidInvoices, invoice) {
+  return paidInvoices.filter(paid => paid.created <= invoice.created).length || 1;
+}
+
+// installments is null for subscriptions, which never complete by themselves
+function isFinalInstallment(installment, installments) {
+  return !!installments && installment >= installments;
+}
+
+// What Stripe's plan discounts took off an invoice
+function invoiceDiscountAmount(invoice) {
+  return (invoice?.total_discount_amounts || []).reduce((sum, discount) => sum + discount.amount, 0);
+}
+
+// Plan tags follow the customer's standing: active -> past due -> completed
+function planTagChanges(status) {
+  if (status === 'completed') {
+    return { extra_tags: ['plan-completed'], remove_tags: ['plan-active', 'plan-past-due'] };
+  }
+  return { extra_tags: ['plan-active'], remove_tags: ['plan-past-due'] };
+}
+
+module.exports = {
+  installmentNumber,
+  isFinalInstallment,
+  invoiceDiscountAmount,
+  planTagChanges
+};
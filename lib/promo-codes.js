@@ -0,0 +1,141 @@
+const { createStore } = require('./store');
+const logger = require('./logger');
+
+// Promo codes entered at checkout - Stripe promotion codes, or raw coupon ids -
+// priced on the server against the list prices being charged
+
+// Local redemption counts - Stripe only counts promo redemptions made through
+// Checkout, invoices and subscriptions, not plain payment intents
+const promoRedemptions = createStore('promo-redemptions');
+
+function createPromoCodes(stripe) {
+  // Look up a buyer-entered code - Stripe promotion codes first, then raw coupon ids
+  async function findPromotion(code) {
+    const promotionCodes = await stripe.promotionCodes.list({
+      code: code,
+      active: true,
+      limit: 1,
+      expand: ['data.coupon.applies_to', 'data.coupon.currency_options']
+    });
+
+    if (promotionCodes.data.length > 0) {
+      const promotionCode = promotionCodes.data[0];
+      return {
+        code: promotionCode.code,
+        promotion_code_id: promotionCode.id,
+        coupon: promotionCode.coupon,
+        restrictions: promotionCode.restrictions || {},
+        max_redemptions: promotionCode.max_redemptions,
+        times_redeemed: promotionCode.times_redeemed,
+        expires_at: promotionCode.expires_at
+      };
+    }
+
+    try {
+      const coupon = await stripe.coupons.retrieve(code, { expand: ['applies_to', 'currency_options'] });
+      return {
+        code: coupon.id,
+        promotion_code_id: null,
+        coupon: coupon,
+        restrictions: {},
+        max_redemptions: coupon.max_redemptions,
+        times_redeemed: coupon.times_redeemed,
+        expires_at: coupon.redeem_by
+      };
+    } catch (error) {
+      if (error.code === 'resource_missing') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Discount for a promo code, computed on the server from list prices - items are
+  // { product_id, amount, quantity } in the checkout currency, as validated by validateProduct
+  async function applyPromoCode(promoCode, items, { isExistingCustomer, currency }) {
+    if (typeof promoCode !== 'string' || promoCode.trim().length === 0 || promoCode.length > 64) {
+      return { error: 'Invalid promo code' };
+    }
+
+    const promotion = await findPromotion(promoCode.trim());
+    if (!promotion || !promotion.coupon.valid) {
+      return { error: 'Invalid promo code' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (promotion.expires_at && promotion.expires_at < now) {
+      return { error: 'Promo code has expired' };
+    }
+
+    const redemptionKey = promotion.promotion_code_id || promotion.coupon.id;
+    const timesRedeemed = promotion.times_redeemed + (promoRedemptions.get(redemptionKey)?.count || 0);
+    if (promotion.max_redemptions && timesRedeemed >= promotion.max_redemptions) {
+      return { error: 'Promo code is no longer available' };
+    }
+
+    if (promotion.restrictions.first_time_transaction && isExistingCustomer) {
+      return { error: 'Promo code is only valid on a first purchase' };
+    }
+
+    // Minimums are set per currency - a minimum in another currency can't be met
+    const subtotal = items.reduce((sum, item) => sum + item.amount * item.quantity, 0);
+    const minimumAmount = promotion.restrictions.minimum_amount_currency === currency
+      ? promotion.restrictions.minimum_amount
+      : promotion.restrictions.currency_options?.[currency]?.minimum_amount;
+    if (promotion.restrictions.minimum_amount && minimumAmount === undefined) {
+      return { error: 'Promo code is not valid for this currency' };
+    }
+    if (minimumAmount && subtotal < minimumAmount) {
+      return { error: 'Order does not meet the minimum for this promo code' };
+    }
+
+    // Coupons limited to certain products only discount those line items
+    const eligibleProducts = promotion.coupon.applies_to?.products;
+    const eligibleAmount = items
+      .filter(item => !eligibleProducts || eligibleProducts.includes(item.product_id))
+      .reduce((sum, item) => sum + item.amount * item.quantity, 0);
+
+    if (eligibleAmount === 0) {
+      return { error: 'Promo code does not apply to this product' };
+    }
+
+    // Fixed-amount coupons carry their own currency, plus optional per-currency amounts
+    const amountOff = promotion.coupon.currency === currency
+      ? promotion.coupon.amount_off
+      : promotion.coupon.currency_options?.[currency]?.amount_off;
+
+    let discountAmount;
+    if (promotion.coupon.percent_off) {
+      discountAmount = Math.round(eligibleAmount * promotion.coupon.percent_off / 100);
+    } else if (amountOff) {
+      discountAmount = Math.min(amountOff, eligibleAmount);
+    } else {
+      return { error: 'Promo code is not valid for this currency' };
+    }
+
+    logger.info('Promo code applied', { promo_code: promotion.code, discount_amount: discountAmount, currency: currency });
+
+    return {
+      promotion: promotion,
+      discountAmount: discountAmount,
+      redemptionKey: redemptionKey
+    };
+  }
+
+  function recordPromoRedemption(redemptionKey) {
+    const current = promoRedemptions.get(redemptionKey) || { count: 0 };
+    promoRedemptions.set(redemptionKey, {
+      count: current.count + 1,
+      last_redeemed_at: new Date().toISOString()
+    });
+  }
+
+  return {
+    applyPromoCode,
+    recordPromoRedemption
+  };
+}
+
+module.exports = {
+  createPromoCodes
+};
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./store');
+const logger = require('./logger');
+
+// Per-route rate limits. Each policy counts requests per key (client IP, email,
+// card...) over a sliding window; a request is refused if any of its keys is over.
+const CONFIG_PATH = process.env.RATE_LIMITS_CONFIG || path.join(__dirname, '..', 'config', 'rate-limits.json');
+
+const STORE_TYPES = ['memory', 'file'];
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function validateConfig(config) {
+  const problems = [];
+  const policies = config.policies || {};
+
+  if (config.store !== undefined && !STORE_TYPES.includes(config.store)) {
+    problems.push(`store must be one of ${STORE_TYPES.join(', ')}`);
+  }
+  if (Object.keys(policies).length === 0) {
+    problems.push('no policies defined');
+  }
+
+  for (const [name, policy] of Object.entries(policies)) {
+    if (!Number.isInteger(policy.window_seconds) || policy.window_seconds < 1) {
+      problems.push(`policy ${name}: window_seconds must be a positive whole number`);
+    }
+    if (!Number.isInteger(policy.max) || policy.max < 1) {
+      problems.push(`policy ${name}: max must be a positive whole number`);
+    }
+    if (!Array.isArray(policy.keys) || policy.keys.length === 0) {
+      problems.push(`policy ${name}: keys must be a non-empty list`);
+    }
+  }
+
+  return problems;
+}
+
+function loadConfig() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read rate limit config ${CONFIG_PATH}: ${error.message}`);
+  }
+
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid rate limit config ${CONFIG_PATH}:\n- ${problems.join('\n- ')}`);
+  }
+
+  return config;
+}
+
+const config = loadConfig();
+
+// Stores hold one small state object per key - anything with get(key) and
+// set(key, value, ttlMs) works. Both must be synchronous: the limiter reads,
+// checks and counts without yielding so concurrent requests can't slip past.
+// The built-in ones wrap a Map or a file-backed store with expiry.
+function createExpiringStore(entries) {
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries.entries()) {
+      if (entry.expires_at < now) {
+        entries.delete(key);
+      }
+    }
+  }, PRUNE_INTERVAL_MS).unref();
+
+  return {
+    get: (key) => {
+      const entry = entries.get(key);
+      return entry && entry.expires_at >= Date.now() ? entry.value : null;
+    },
+    set: (key, value, ttlMs) => {
+      entries.set(key, { value: value, expires_at: Date.now() + ttlMs });
+    }
+  };
+}
+
+const storeType = process.env.RATE_LIMIT_STORE || config.store || 'memory';
+// The file store survives restarts and deploys on the same disk
+let store = createExpiringStore(storeType === 'file' ? createStore('rate-limits') : new Map());
+
+function setStore(customStore) {
+  store = customStore;
+}
+
+// Key resolvers return the value to count the request against, or null to skip
+// that key (e.g. no email on the request). Resolvers may be async.
+const keyResolvers = {
+  ip: (req) => req.ip || req.socket?.remoteAddress || null,
+  email: (req) => typeof req.body?.email === 'string' ? req.body.email.toLowerCase().trim() || null : null
+};
+
+function registerKey(name, resolver) {
+  keyResolvers[name] = resolver;
+}
+
+// Sliding window counter: the previous fixed window's count is weighted by how
+// much of it still overlaps the sliding window. Returns the count and when the
+// key will next have room for another request.
+function estimate(state, now, windowMs, max) {
+  const windowIndex = Math.floor(now / windowMs);
+  let previous = 0;
+  let current = 0;
+
+  if (state && state.window === windowIndex) {
+    previous = state.previous;
+    current = state.current;
+  } else if (state && state.window === windowIndex - 1) {
+    previous = state.current;
+  }
+
+  const windowStart = windowIndex * windowMs;
+  const elapsed = (now - windowStart) / windowMs;
+  const count = previous * (1 - elapsed) + current;
+
+  let resetAt;
+  if (current >= max) {
+    // Full this window - wait for this window's count to age out of the next one
+    resetAt = windowStart + windowMs + (1 - (max - 1) / current) * windowMs;
+  } else if (previous > 0) {
+    resetAt = windowStart + Math.max(elapsed, 1 - (max - 1 - current) / previous) * windowMs;
+  } else {
+    resetAt = now;
+  }
+
+  return { windowIndex, previous, current, count, resetAt };
+}
+
+// Middleware for a named policy from the config file
+function rateLimit(policyName) {
+  const policy = config.policies[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
+  }
+
+  const windowMs = policy.window_seconds * 1000;
+
+  return async (req, res, next) => {
+    try {
+      // Resolve every key first - resolvers may await (the card key asks Stripe)
+      const keys = [];
+      for (const keyName of policy.keys) {
+        const resolver = keyResolvers[keyName];
+        const value = resolver ? await resolver(req) : null;
+        if (value) {
+          keys.push({ keyName, storeKey: `${policyName}:${keyName}:${value}` });
+        }
+      }
+
+      // Nothing awaits from the reads below to the increments, so concurrent
+      // requests can't all read the same count before any of them is counted
+      const now = Date.now();
+      const checks = keys.map(key => ({
+        ...key,
+        ...estimate(store.get(key.storeKey), now, windowMs, policy.max)
+      }));
+
+      const blocked = checks.filter(check => check.count + 1 > policy.max);
+      const highestCount = Math.max(0, ...checks.map(check => check.count));
+
+      res.set('RateLimit-Policy', `${policy.max};w=${policy.window_seconds}`);
+      res.set('RateLimit-Limit', String(policy.max));
+      res.set('RateLimit-Remaining', String(Math.max(0, Math.floor(policy.max - highestCount - 1))));
+
+      if (blocked.length > 0) {
+        const retryAfter = Math.max(1, Math.ceil((Math.max(...blocked.map(check => check.resetAt)) - now) / 1000));
+        res.set('RateLimit-Reset', String(retryAfter));
+        res.set('Retry-After', String(retryAfter));
+        logger.warn('Rate limit hit', { policy: policyName, keys: blocked.map(check => check.keyName) });
+        return res.status(429).json({ error: 'Too many requests, please try again later' });
+      }
+
+      // Only allowed requests count, so a blocked client recovers as the window slides
+      for (const check of checks) {
+        store.set(check.storeKey, {
+          window: check.windowIndex,
+          previous: check.previous,
+          current: check.current + 1
+        }, windowMs * 2);
+      }
+
+      // Seconds until the current fixed window rolls over and older requests start to age out
+      res.set('RateLimit-Reset', String(Math.ceil((windowMs - now % windowMs) / 1000)));
+      next();
+    } catch (error) {
+      // A broken limiter store shouldn't take checkout down with it
+      logger.error('Rate limiter error', { error });
+      next();
+    }
+  };
+}
+
+// Express's trust proxy setting. Off by default: with no proxy in front, trusting
+// X-Forwarded-For lets a client pick its own IP and dodge the per-IP limits. Behind
+// a load balancer or CDN, set trust_proxy (or TRUST_PROXY) to the number of proxy
+// hops, or to the proxies' addresses
+function getTrustProxy() {
+  if (process.env.TRUST_PROXY !== undefined) {
+    if (process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY === 'false') {
+      return process.env.TRUST_PROXY === 'true';
+    }
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    return Number.isNaN(hops) ? process.env.TRUST_PROXY : hops;
+  }
+  return config.trust_proxy ?? false;
+}
+
+module.exports = {
+  rateLimit,
+  registerKey,
+  setStore,
+  getTrustProxy
+};
@@ -0,0 +1,299 @@
+const logger = require('./logger');
+
+// Shopify Admin API client - REST and GraphQL over one set of credentials, with
+// retries when Shopify throttles us and typed errors for everything else.
+// Every error carries `retryable` so the job queue knows whether to try again.
+const API_VERSION = process.env.SHOPIFY_API_VERSION || '2023-10';
+const MAX_RETRIES = parseInt(process.env.SHOPIFY_MAX_RETRIES, 10) || 4;
+
+class ShopifyError extends Error {
+  constructor(message, { status = null, errors = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ShopifyError';
+    this.status = status;
+    this.errors = errors;
+    this.retryable = retryable;
+  }
+}
+
+// Missing credentials - nothing will work until the environment is fixed
+class ShopifyConfigError extends ShopifyError {
+  constructor(message) {
+    super(message, { retryable: false });
+    this.name = 'ShopifyConfigError';
+  }
+}
+
+// Still throttled after our own retries - worth trying again later
+class ShopifyThrottledError extends ShopifyError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true });
+    this.name = 'ShopifyThrottledError';
+  }
+}
+
+class ShopifyNotFoundError extends ShopifyError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 404, retryable: false });
+    this.name = 'ShopifyNotFoundError';
+  }
+}
+
+// Shopify rejected the data (422s and GraphQL userErrors) - retrying won't help
+class ShopifyValidationError extends ShopifyError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'ShopifyValidationError';
+  }
+}
+
+function isConfigured() {
+  return !!(process.env.SHOPIFY_STORE_URL && process.env.SHOPIFY_ACCESS_TOKEN);
+}
+
+function credentials() {
+  if (!isConfigured()) {
+    throw new ShopifyConfigError('Shopify credentials not configured');
+  }
+  return {
+    storeUrl: process.env.SHOPIFY_STORE_URL,
+    accessToken: process.env.SHOPIFY_ACCESS_TOKEN
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function errorForResponse(status, body, label) {
+  const errors = body?.errors || body;
+  const detail = typeof errors === 'string' ? errors : JSON.stringify(errors);
+  const message = `Shopify ${label} failed: ${status} ${detail}`;
+
+  if (status === 404) {
+    return new ShopifyNotFoundError(message, { errors });
+  }
+  if (status === 400 || status === 422) {
+    return new ShopifyValidationError(message, { status, errors });
+  }
+  if (status === 429) {
+    return new ShopifyThrottledError(message, { status, errors });
+  }
+  // 5xx are Shopify's problem and usually pass; 401/403 need new credentials
+  return new ShopifyError(message, { status, errors, retryable: status >= 500 });
+}
+
+async function parseBody(response) {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+// POST/GET with Shopify's 429 handling - waits for Retry-After (or backs off)
+async function send(path, { method, body }, label) {
+  const { storeUrl, accessToken } = credentials();
+  const url = `https://${storeUrl}/admin/api/${API_VERSION}/${path}`;
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, {
+      method: method,
+      headers: {
+        'X-Shopify-Access-Token': accessToken,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 429 && attempt < MAX_RETRIES) {
+      const retryAfter = parseFloat(response.headers.get('Retry-After'));
+      const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : 1000 * Math.pow(2, attempt);
+      logger.warn('Shopify throttled, retrying', { request: label, delay_ms: delay });
+      await sleep(delay);
+      continue;
+    }
+
+    const result = await parseBody(response);
+    if (!response.ok) {
+      throw errorForResponse(response.status, result, label);
+    }
+
+    // REST leaky bucket ("39/40") - ease off before Shopify starts refusing
+    const [used, limit] = (response.headers.get('X-Shopify-Shop-Api-Call-Limit') || '').split('/').map(Number);
+    if (limit && used >= limit - 2) {
+      await sleep(500);
+    }
+
+    return result;
+  }
+}
+
+// REST Admin call, e.g. rest('GET', 'customers/123.json')
+function rest(method, path, body) {
+  return send(path, { method, body }, `${method} ${path}`);
+}
+
+// GraphQL Admin call - throttled queries wait until the cost bucket has refilled
+async function graphql(query, variables = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const result = await send('graphql.json', { method: 'POST', body: { query, variables } }, 'GraphQL');
+    const errors = result?.errors || [];
+
+    const throttled = errors.some(error => error.extensions?.code === 'THROTTLED');
+    if (throttled && attempt < MAX_RETRIES) {
+      const cost = result.extensions?.cost;
+      const missing = cost ? cost.requestedQueryCost - cost.throttleStatus.currentlyAvailable : 0;
+      const delay = cost && missing > 0
+        ? Math.ceil(missing / cost.throttleStatus.restoreRate) * 1000
+        : 1000 * Math.pow(2, attempt);
+      logger.warn('Shopify GraphQL throttled, retrying', { delay_ms: delay });
+      await sleep(delay);
+      continue;
+    }
+
+    if (throttled) {
+      throw new ShopifyThrottledError('Shopify GraphQL throttled', { errors });
+    }
+    if (errors.length > 0) {
+      throw new ShopifyError(`Shopify GraphQL failed: ${errors.map(error => error.message).join('; ')}`, { errors });
+    }
+
+    return result.data;
+  }
+}
+
+function assertNoUserErrors(payload, label) {
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new ShopifyValidationError(
+      `Shopify ${label} rejected: ${userErrors.map(error => `${(error.field || []).join('.')} ${error.message}`).join('; ')}`,
+      { errors: userErrors }
+    );
+  }
+  return payload;
+}
+
+// REST customer record (tags as a comma-separated string), or null
+async function findCustomerByEmail(email) {
+  const result = await rest('GET', `customers/search.json?query=email:${encodeURIComponent(email)}`);
+  return result?.customers?.length > 0 ? result.customers[0] : null;
+}
+
+const CUSTOMER_FIELDS = 'id legacyResourceId email phone tags note defaultAddress { id }';
+
+function customerGid(customerId) {
+  return `gid://shopify/Customer/${customerId}`;
+}
+
+// Known customer id first (e.g. linked from Stripe), then a search by email
+async function findCustomerNode({ id, email }) {
+  if (id) {
+    const found = await graphql(
+      `query customerById($id: ID!) { customer(id: $id) { ${CUSTOMER_FIELDS} } }`,
+      { id: customerGid(id) }
+    );
+    if (found.customer) {
+      return found.customer;
+    }
+    logger.warn('Shopify customer no longer exists - searching by email', { shopify_customer_id: id });
+  }
+
+  const found = await graphql(
+    `query customerByEmail($query: String!) {
+      customers(first: 1, query: $query) { edges { node { ${CUSTOMER_FIELDS} } } }
+    }`,
+    { query: `email:${JSON.stringify(email)}` }
+  );
+  return found.customers.edges[0]?.node || null;
+}
+
+// Create or update a customer in one call for the caller - matched by id when we
+// have one, otherwise by email. buildInput(existing) gets the current
+// { id, tags: [], note, phone } (or null) and returns a GraphQL CustomerInput.
+// Marketing consent can only be set on create, so on update it goes through the
+// consent mutations instead. Returns { id, gid, created, tags }.
+async function upsertCustomer({ id, email }, buildInput) {
+  const existing = await findCustomerNode({ id, email });
+  const { emailMarketingConsent, smsMarketingConsent, ...fields } = buildInput(existing);
+  const hasPhone = !!(fields.phone || existing?.phone);
+
+  if (!existing) {
+    const created = await graphql(
+      `mutation customerCreate($input: CustomerInput!) {
+        customerCreate(input: $input) { customer { ${CUSTOMER_FIELDS} } userErrors { field message } }
+      }`,
+      {
+        input: {
+          email: email,
+          ...fields,
+          emailMarketingConsent: emailMarketingConsent,
+          smsMarketingConsent: hasPhone ? smsMarketingConsent : undefined
+        }
+      }
+    );
+    const customer = assertNoUserErrors(created.customerCreate, 'customerCreate').customer;
+    return { id: Number(customer.legacyResourceId), gid: customer.id, created: true, tags: customer.tags };
+  }
+
+  const updated = await graphql(
+    `mutation customerUpdate($input: CustomerInput!) {
+      customerUpdate(input: $input) { customer { ${CUSTOMER_FIELDS} } userErrors { field message } }
+    }`,
+    { input: { id: existing.id, ...fields } }
+  );
+  const customer = assertNoUserErrors(updated.customerUpdate, 'customerUpdate').customer;
+
+  if (emailMarketingConsent) {
+    const result = await graphql(
+      `mutation emailConsent($input: CustomerEmailMarketingConsentUpdateInput!) {
+        customerEmailMarketingConsentUpdate(input: $input) { userErrors { field message } }
+      }`,
+      { input: { customerId: existing.id, emailMarketingConsent } }
+    );
+    assertNoUserErrors(result.customerEmailMarketingConsentUpdate, 'email consent update');
+  }
+
+  if (smsMarketingConsent && hasPhone) {
+    const result = await graphql(
+      `mutation smsConsent($input: CustomerSmsMarketingConsentUpdateInput!) {
+        customerSmsMarketingConsentUpdate(input: $input) { userErrors { field message } }
+      }`,
+      { input: { customerId: existing.id, smsMarketingConsent } }
+    );
+    assertNoUserErrors(result.customerSmsMarketingConsentUpdate, 'SMS consent update');
+  }
+
+  return { id: Number(customer.legacyResourceId), gid: customer.id, created: false, tags: customer.tags };
+}
+
+// Create or overwrite metafields on any resource (ownerId is its GraphQL gid)
+async function setMetafields(ownerId, metafields) {
+  const result = await graphql(
+    `mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) { metafields { id } userErrors { field message } }
+    }`,
+    { metafields: metafields.map(metafield => ({ ownerId, ...metafield })) }
+  );
+  return assertNoUserErrors(result.metafieldsSet, 'metafieldsSet').metafields;
+}
+
+module.exports = {
+  API_VERSION,
+  ShopifyError,
+  ShopifyConfigError,
+  ShopifyThrottledError,
+  ShopifyNotFoundError,
+  ShopifyValidationError,
+  isConfigured,
+  rest,
+  graphql,
+  customerGid,
+  findCustomerByEmail,
+  upsertCustomer,
+  setMetafields
+};
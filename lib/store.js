@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Local persistence for server state that must survive restarts and deploys
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// A store's journal is folded into its snapshot once it holds this many changes,
+// or more changes than the store has records, whichever is larger
+const COMPACT_MIN_CHANGES = 1000;
+
+function ensureDataDir() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// Lines of a JSONL file, skipping one a crash cut short. Reports whether any were bad
+function readJsonLines(filePath, label) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Could not load store', { store: label, error });
+    }
+    return { lines: [], damaged: false };
+  }
+
+  const lines = [];
+  let damaged = false;
+  for (const line of text.split('\n')) {
+    if (!line) {
+      continue;
+    }
+    try {
+      lines.push(JSON.parse(line));
+    } catch (error) {
+      damaged = true;
+    }
+  }
+  if (damaged) {
+    logger.warn('Skipped damaged lines in store', { store: label });
+  }
+  return { lines, damaged };
+}
+
+// Write to a temp file and rename so a crash never leaves half a file behind
+function writeFileAtomic(filePath, contents) {
+  ensureDataDir();
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
+
+// Keyed collection held in memory. Writes append one line to data/<name>.journal.jsonl
+// instead of rewriting everything; the journal is folded into data/<name>.json now and
+// then, so each write costs the size of the record, not of the whole store
+function createStore(name) {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  const journalPath = path.join(DATA_DIR, `${name}.journal.jsonl`);
+  let records = {};
+  let journalChanges = 0;
+
+  try {
+    records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Could not load store', { store: name, error });
+    }
+  }
+
+  // Each journal line holds the record's whole new value, so replaying a change
+  // the snapshot already has (a crash mid-compaction) does no harm
+  const journal = readJsonLines(journalPath, name);
+  for (const change of journal.lines) {
+    if (change.deleted) {
+      delete records[change.key];
+    } else {
+      records[change.key] = change.value;
+    }
+  }
+  journalChanges = journal.lines.length;
+
+  function compact() {
+    writeFileAtomic(filePath, JSON.stringify(records, null, 2));
+    fs.writeFileSync(journalPath, '');
+    journalChanges = 0;
+  }
+
+  // A damaged line would swallow the next change appended after it
+  if (journal.damaged) {
+    compact();
+  }
+
+  function record(change) {
+    ensureDataDir();
+    fs.appendFileSync(journalPath, `${JSON.stringify(change)}\n`);
+    journalChanges++;
+    if (journalChanges > Math.max(COMPACT_MIN_CHANGES, Object.keys(records).length)) {
+      compact();
+    }
+  }
+
+  return {
+    get(key) {
+      return records[key];
+    },
+
+    has(key) {
+      return Object.prototype.hasOwnProperty.call(records, key);
+    },
+
+    set(key, value) {
+      records[key] = value;
+      record({ key, value });
+      return value;
+    },
+
+    update(key, changes) {
+      records[key] = { ...(records[key] || {}), ...changes };
+      record({ key, value: records[key] });
+      return records[key];
+    },
+
+    delete(key) {
+      if (!this.has(key)) {
+        return false;
+      }
+      delete records[key];
+      record({ key, deleted: true });
+      return true;
+    },
+
+    entries() {
+      return Object.entries(records);
+    },
+
+    values() {
+      return Object.values(records);
+    }
+  };
+}
+
+// Append-only record kept in data/<name>.jsonl - nothing held in memory, nothing
+// ever rewritten. For logs that only grow and are read back rarely (exports)
+function createLog(name) {
+  const filePath = path.join(DATA_DIR, `${name}.jsonl`);
+  const legacyPath = path.join(DATA_DIR, `${name}.json`);
+
+  // Logs used to be keyed stores - carry an old data/<name>.json over once
+  if (fs.existsSync(legacyPath) && !fs.existsSync(filePath)) {
+    const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+    writeFileAtomic(filePath, Object.values(legacy).map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    fs.unlinkSync(legacyPath);
+    logger.info('Moved store to an append-only log', { store: name });
+  }
+
+  // Start on a fresh line if the last append was cut short
+  if (fs.existsSync(filePath)) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (text && !text.endsWith('\n')) {
+      fs.appendFileSync(filePath, '\n');
+    }
+  }
+
+  return {
+    append(entry) {
+      ensureDataDir();
+      fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+      return entry;
+    },
+
+    // Oldest first
+    values() {
+      return readJsonLines(filePath, name).lines;
+    }
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  createStore,
+  createLog
+};
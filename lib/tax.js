@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./store');
+const logger = require('./logger');
+
+// Sales tax and VAT on checkout charges, worked out from the buyer's billing address.
+// TAX_PROVIDER picks where the rates come from:
+//   stripe - Stripe Tax (registrations and product tax codes are set up in the dashboard)
+//   table  - config/tax-rates.json: tax lines per country, optionally per postal code prefix
+// Unset, no tax is charged. Funnel prices are tax-exclusive - tax is added on top.
+const PROVIDERS = ['stripe', 'table'];
+const CONFIG_PATH = process.env.TAX_RATES_CONFIG || path.join(__dirname, '..', 'config', 'tax-rates.json');
+
+// How Stripe Tax's tax types read on an order and a receipt
+const TAX_TYPE_NAMES = {
+  vat: 'VAT',
+  gst: 'GST',
+  hst: 'HST',
+  pst: 'PST',
+  qst: 'QST',
+  rst: 'RST',
+  jct: 'JCT',
+  igst: 'IGST',
+  sales_tax: 'Sales tax'
+};
+
+function validateLines(lines, label, problems) {
+  if (!Array.isArray(lines) || !lines.every(line =>
+    line && typeof line.name === 'string' && line.name &&
+    typeof line.rate === 'number' && line.rate >= 0 && line.rate <= 100)) {
+    problems.push(`${label}: must be a list of { "name", "rate" } with rate a percentage`);
+  }
+}
+
+function validateTable(config) {
+  const problems = [];
+
+  for (const [country, lines] of Object.entries(config.countries || {})) {
+    if (!/^[A-Z]{2}$/.test(country)) {
+      problems.push(`countries: ${country} is not a two-letter country code`);
+    }
+    validateLines(lines, `countries.${country}`, problems);
+  }
+
+  for (const [country, prefixes] of Object.entries(config.postal_codes || {})) {
+    if (!/^[A-Z]{2}$/.test(country)) {
+      problems.push(`postal_codes: ${country} is not a two-letter country code`);
+    }
+    for (const [prefix, lines] of Object.entries(prefixes || {})) {
+      validateLines(lines, `postal_codes.${country}.${prefix}`, problems);
+    }
+  }
+
+  return problems;
+}
+
+function loadTable() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read tax rates config ${CONFIG_PATH}: ${error.message}`);
+  }
+
+  const problems = validateTable(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid tax rates config ${CONFIG_PATH}:\n- ${problems.join('\n- ')}`);
+  }
+
+  return config;
+}
+
+const provider = process.env.TAX_PROVIDER || null;
+if (provider && !PROVIDERS.includes(provider)) {
+  throw new Error(`TAX_PROVIDER must be one of ${PROVIDERS.join(', ')}`);
+}
+
+const table = provider === 'table' ? loadTable() : null;
+
+// Stripe tax rates created for table lines, so subscriptions can carry the same tax
+const stripeTaxRates = createStore('stripe-tax-rates');
+
+// The longest matching postal code prefix wins over the country's lines
+function tableLines(address) {
+  const postalCode = (address.postal_code || '').toUpperCase().replace(/\s+/g, '');
+  const prefixes = Object.keys(table.postal_codes?.[address.country] || {})
+    .filter(prefix => postalCode.startsWith(prefix.toUpperCase()))
+    .sort((a, b) => b.length - a.length);
+
+  if (prefixes.length > 0) {
+    return table.postal_codes[address.country][prefixes[0]];
+  }
+  return table.countries?.[address.country] || [];
+}
+
+function createTaxCalculator(stripe) {
+  function isEnabled() {
+    return !!provider;
+  }
+
+  // items: [{ reference, amount }] with amount the minor-unit total actually
+  // charged for the item (after discounts). Returns the tax to add on top as
+  // { amount, lines: [{ title, rate, amount }], calculation_id }, or { error }
+  // when the address can't be taxed
+  async function calculate({ currency, address, items }) {
+    const taxable = items.reduce((sum, item) => sum + item.amount, 0);
+
+    if (provider === 'table') {
+      const lines = tableLines(address)
+        .map(line => ({ title: line.name, rate: line.rate, amount: Math.round(taxable * line.rate / 100) }))
+        .filter(line => line.amount > 0);
+      return { amount: lines.reduce((sum, line) => sum + line.amount, 0), lines: lines, calculation_id: null };
+    }
+
+    let calculation;
+    try {
+      calculation = await stripe.tax.calculations.create({
+        currency: currency,
+        line_items: items.map(item => ({ amount: item.amount, reference: item.reference, tax_behavior: 'exclusive' })),
+        customer_details: {
+          address: {
+            country: address.country,
+            postal_code: address.postal_code || undefined,
+            state: address.state || undefined
+          },
+          address_source: 'billing'
+        }
+      });
+    } catch (error) {
+      if (error.code === 'customer_tax_location_invalid') {
+        return { error: 'We could not calculate tax for this billing address' };
+      }
+      throw error;
+    }
+
+    const lines = calculation.tax_breakdown
+      .filter(breakdown => breakdown.amount > 0)
+      .map(breakdown => {
+        const details = breakdown.tax_rate_details;
+        const name = TAX_TYPE_NAMES[details.tax_type] || details.tax_type;
+        return {
+          title: details.state ? `${details.state} ${name}` : name,
+          rate: parseFloat(details.percentage_decimal),
+          amount: breakdown.amount
+        };
+      });
+
+    return { amount: calculation.tax_amount_exclusive, lines: lines, calculation_id: calculation.id };
+  }
+
+  // Stripe Tax only reports what it has a transaction for - one per successful charge
+  async function recordTransaction(calculationId, paymentIntentId) {
+    const transaction = await stripe.tax.transactions.createFromCalculation({
+      calculation: calculationId,
+      reference: paymentIntentId
+    }, { idempotencyKey: `tax-transaction-${paymentIntentId}` });
+    logger.info('Stripe Tax transaction recorded', { tax_transaction_id: transaction.id, payment_intent_id: paymentIntentId });
+    return transaction.id;
+  }
+
+  async function stripeTaxRateFor(line, country) {
+    const key = `${country}:${line.name}:${line.rate}`;
+    const existing = stripeTaxRates.get(key);
+    if (existing) {
+      return existing.id;
+    }
+
+    const taxRate = await stripe.taxRates.create({
+      display_name: line.name,
+      percentage: line.rate,
+      inclusive: false,
+      country: country
+    });
+    stripeTaxRates.set(key, { id: taxRate.id, created_at: new Date().toISOString() });
+    return taxRate.id;
+  }
+
+  // Subscription settings that tax every invoice of a plan the same way as a one-off charge
+  async function subscriptionTaxSettings(customerId, address) {
+    if (provider === 'stripe') {
+      // Stripe Tax reads the location from the customer
+      await stripe.customers.update(customerId, {
+        address: { country: address.country, postal_code: address.postal_code || undefined, state: address.state || undefined }
+      });
+      return { automatic_tax: { enabled: true } };
+    }
+
+    const lines = tableLines(address).filter(line => line.rate > 0);
+    if (lines.length === 0) {
+      return {};
+    }
+    return { default_tax_rates: await Promise.all(lines.map(line => stripeTaxRateFor(line, address.country))) };
+  }
+
+  // The tax lines of a paid invoice, in the shape calculate() returns them
+  async function invoiceTaxLines(invoice) {
+    if (!invoice.tax) {
+      return [];
+    }
+
+    const expanded = await stripe.invoices.retrieve(invoice.id, { expand: ['total_tax_amounts.tax_rate'] });
+    return expanded.total_tax_amounts
+      .filter(taxAmount => taxAmount.amount > 0)
+      .map(taxAmount => ({
+        title: taxAmount.tax_rate.display_name,
+        rate: taxAmount.tax_rate.effective_percentage ?? taxAmount.tax_rate.percentage,
+        amount: taxAmount.amount
+      }));
+  }
+
+  return {
+    provider,
+    isEnabled,
+    calculate,
+    recordTransaction,
+    subscriptionTaxSettings,
+    invoiceTaxLines
+  };
+}
+
+module.exports = {
+  createTaxCalculator
+};
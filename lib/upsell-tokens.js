@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const logger = require('./logger');
+
+// One-click upsell sessions. The browser only ever holds a signed, short-lived
+// token; the customer, card and funnel it may charge live on the server.
+const sessions = createStore('upsell-sessions');
+const declines = createStore('upsell-declines');
+
+const TOKEN_TTL_MS = (parseInt(process.env.UPSELL_TOKEN_TTL_MINUTES, 10) || 30) * 60 * 1000;
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+let tokenSecret = process.env.UPSELL_TOKEN_SECRET;
+if (!tokenSecret) {
+  logger.warn('UPSELL_TOKEN_SECRET not set - using a per-process secret (tokens will not survive a restart)');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', tokenSecret).update(encodedPayload).digest('base64url');
+}
+
+function encodeToken(session) {
+  const payload = {
+    sid: session.id,
+    cus: session.customer_id,
+    pm: session.payment_method_id,
+    funnel: session.funnel_id,
+    nonce: session.nonce,
+    exp: Date.now() + TOKEN_TTL_MS
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+function pruneExpiredSessions() {
+  const cutoff = Date.now() - SESSION_MAX_AGE_MS;
+  for (const [id, session] of sessions.entries()) {
+    if (new Date(session.created_at).getTime() < cutoff) {
+      sessions.delete(id);
+    }
+  }
+}
+
+// Called after a successful main purchase - returns the first upsell token
+// mainPaymentConfirmed when the main purchase has already gone through - upsells then never
+// look it up (a $0 plan start has no payment intent to look up)
+function createUpsellSession({ customerId, paymentMethodId, funnelId, paymentIntentId, mainPaymentConfirmed, currentStep, currency, billingAddress }) {
+  pruneExpiredSessions();
+
+  const id = `ups_${crypto.randomUUID()}`;
+  const session = sessions.set(id, {
+    id: id,
+    customer_id: customerId,
+    payment_method_id: paymentMethodId,
+    funnel_id: funnelId,
+    main_payment_intent_id: paymentIntentId,
+    main_payment_confirmed: !!mainPaymentConfirmed,
+    current_step: currentStep || null,
+    currency: currency,
+    billing_address: billingAddress || null,
+    nonce: crypto.randomBytes(16).toString('hex'),
+    purchased_products: [],
+    declined_steps: [],
+    created_at: new Date().toISOString()
+  });
+
+  return { session, token: encodeToken(session) };
+}
+
+// Check signature, expiry and that the token belongs to a live session
+function decodeToken(token) {
+  if (!token || typeof token !== 'string' || !token.includes('.')) {
+    return { error: 'Missing or malformed upsell token' };
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  const expected = Buffer.from(sign(encodedPayload));
+  const provided = Buffer.from(signature || '');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { error: 'Invalid upsell token' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Invalid upsell token' };
+  }
+
+  if (!payload.exp || Date.now() > payload.exp) {
+    return { error: 'Upsell offer has expired' };
+  }
+
+  const session = sessions.get(payload.sid);
+  if (!session) {
+    return { error: 'Upsell session not found' };
+  }
+
+  if (session.customer_id !== payload.cus || session.payment_method_id !== payload.pm || session.funnel_id !== payload.funnel) {
+    return { error: 'Invalid upsell token' };
+  }
+
+  return { payload, session };
+}
+
+// Check signature, expiry and that this is the session's current (unused) token
+function verifyUpsellToken(token) {
+  const decoded = decodeToken(token);
+  if (decoded.error) {
+    return decoded;
+  }
+
+  if (decoded.session.nonce !== decoded.payload.nonce) {
+    return { error: 'Upsell token has already been used' };
+  }
+
+  return { session: decoded.session };
+}
+
+// A usable token for the session an earlier token was issued for, used or not -
+// replayed responses carry a token that later requests may have rotated away.
+// Null once that token has expired or its session is gone
+function currentUpsellToken(token) {
+  const decoded = decodeToken(token);
+  return decoded.error ? null : encodeToken(decoded.session);
+}
+
+// Invalidate the presented token and issue the next one - done before charging
+// so a double-click or a replayed request can't reuse it
+function rotateUpsellToken(sessionId) {
+  const session = sessions.update(sessionId, {
+    nonce: crypto.randomBytes(16).toString('hex'),
+    updated_at: new Date().toISOString()
+  });
+  return encodeToken(session);
+}
+
+function updateUpsellSession(sessionId, changes) {
+  return sessions.update(sessionId, changes);
+}
+
+// Declines are kept after the session expires, for reporting against the customer
+function recordDecline(session, stepId, productId) {
+  const declinedAt = new Date().toISOString();
+
+  declines.set(`${session.id}:${stepId}`, {
+    customer_id: session.customer_id,
+    funnel_id: session.funnel_id,
+    step_id: stepId,
+    product_id: productId,
+    upsell_session_id: session.id,
+    declined_at: declinedAt
+  });
+
+  return sessions.update(session.id, {
+    declined_steps: [...(session.declined_steps || []), stepId]
+  });
+}
+
+function listDeclines(customerId) {
+  return declines.values().filter(decline => !customerId || decline.customer_id === customerId);
+}
+
+module.exports = {
+  createUpsellSession,
+  verifyUpsellToken,
+  currentUpsellToken,
+  rotateUpsellToken,
+  updateUpsellSession,
+  recordDecline,
+  listDeclines
+};
@@ -1,29 +1,57 @@
+const crypto = require('crypto');
 const express = require('express');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const cors = require('cors');
+const eventLedger = require('./lib/event-ledger');
+const jobQueue = require('./lib/job-queue');
+const upsellTokens = require('./lib/upsell-tokens');
+const { idempotent } = require('./lib/idempotency');
+const { createCatalog } = require('./lib/catalog');
+const { createTaxCalculator } = require('./lib/tax');
+const { createPromoCodes } = require('./lib/promo-codes');
+const rateLimits = require('./lib/rate-limit');
+const { requireRole } = require('./lib/admin-auth');
+const auditLog = require('./lib/audit-log');
+const consentLog = require('./lib/consent-log');
+const optinConfirmations = require('./lib/optin-confirmations');
+const mailer = require('./lib/mailer');
+const emailTemplates = require('./lib/email-templates');
+const klaviyo = require('./lib/klaviyo');
+const shopify = require('./lib/shopify');
+const logger = require('./lib/logger');
+// Loading the funnel config validates it - a bad file stops the server here
+const funnels = require('./lib/funnels');
+const destinations = require('./lib/destinations');
+const plans = require('./lib/plans');
+const buyerDetails = require('./lib/billing-details');
 
-// FIX: Add the missing requestCounts Map - this was causing the 500 error!
-const requestCounts = new Map();
+const catalog = createCatalog(stripe);
+const tax = createTaxCalculator(stripe);
+const promoCodes = createPromoCodes(stripe);
 
 const app = express();
 
+// Client IPs come from X-Forwarded-For when behind the configured number of proxies
+app.set('trust proxy', rateLimits.getTrustProxy());
+
 // CORS first (before any routes)
 app.use(cors());
 
+// Request ids and a log line per request - Stripe webhooks included
+app.use(logger.requestContext);
+
 // WEBHOOK MUST COME BEFORE express.json()
 app.post('/webhook', express.raw({type: 'application/json'}), (req, res) => {
-  console.log('🔔 Webhook received!');
-  
   const sig = req.headers['stripe-signature'];
   const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
   
   if (!sig) {
-    console.log('❌ No webhook signature provided');
+    logger.warn('Webhook rejected: no signature provided');
     return res.status(400).send('No signature provided');
   }
   
   if (!endpointSecret) {
-    console.error('❌ Webhook secret not configured');
+    logger.error('Webhook rejected: STRIPE_WEBHOOK_SECRET is not configured');
     return res.status(500).send('Webhook not configured');
   }
   
@@ -31,32 +59,60 @@ app.post('/webhook', express.raw({type: 'application/json'}), (req, res) => {
   
   try {
     event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
-    console.log('✅ Webhook signature verified');
-    console.log('🎯 Event type:', event.type);
+    logger.info('Webhook received', { event_id: event.id, event_type: event.type });
   } catch (err) {
-    console.log(`❌ Webhook signature verification failed:`, err.message);
+    logger.warn('Webhook signature verification failed', { error: err.message });
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
   
+  // Skip events we've already processed (Stripe retries and dashboard redeliveries)
+  const ledgerEntry = eventLedger.startEvent(event);
+  if (ledgerEntry.duplicate) {
+    logger.info('Duplicate event skipped', { event_id: event.id, status: ledgerEntry.record.status });
+    return res.json({received: true, duplicate: true});
+  }
+  
+  if (ledgerEntry.resumed) {
+    logger.info('Resuming event', { event_id: event.id, attempt: ledgerEntry.record.attempts });
+  }
+  
   if (event.type === 'payment_intent.succeeded') {
     const paymentIntent = event.data.object;
     
-    console.log('🎉 Payment succeeded:', paymentIntent.id);
-    console.log('📧 Customer email:', paymentIntent.metadata.customer_email);
-    console.log('📦 Product:', paymentIntent.metadata.product_id);
-    console.log('🔼 Is upsell:', paymentIntent.metadata.is_upsell || 'false');
-    console.log('💰 Amount:', paymentIntent.amount);
+    logger.info('Payment succeeded', {
+      payment_intent_id: paymentIntent.id,
+      customer_email: paymentIntent.metadata.customer_email,
+      product_id: paymentIntent.metadata.product_id,
+      is_upsell: paymentIntent.metadata.is_upsell === 'true',
+      amount: paymentIntent.amount
+    });
+    
+    // Plan and subscription charges are processed from their invoice.paid event
+    if (paymentIntent.invoice) {
+      logger.info('Invoice payment handled via invoice.paid', { payment_intent_id: paymentIntent.id });
+      eventLedger.ignoreEvent(event.id);
+      return res.json({received: true});
+    }
     
     if (!paymentIntent.metadata?.customer_email) {
-      console.log('❌ Payment intent missing customer email');
+      logger.warn('Payment intent missing customer email', { payment_intent_id: paymentIntent.id });
+      eventLedger.failEvent(event.id, new Error('Payment intent missing customer email'));
       return res.status(400).send('Invalid payment intent');
     }
     
-    sendConfirmationEmail(paymentIntent).catch(error => {
-      console.error('❌ Error in sendConfirmationEmail:', error);
-    });
+    queueStripeEvent(event);
+  } else if (event.type === 'invoice.paid' && event.data.object.subscription) {
+    logger.info('Plan invoice paid', { invoice_id: event.data.object.id });
+    queueStripeEvent(event);
+  } else if (lifecycleHandlers[event.type]) {
+    queueStripeEvent(event);
+  } else if (event.type.startsWith('product.') || event.type.startsWith('price.')) {
+    // Catalog changes only need the cached copy dropped - nothing to queue
+    catalog.invalidate(event);
+    eventLedger.completeEvent(event.id);
   } else {
-    console.log('ℹ️  Webhook event type not handled:', event.type);
+    logger.debug('Webhook event type not handled', { event_type: event.type });
+    eventLedger.ignoreEvent(event.id);
   }
   
   res.json({received: true});
@@ -75,136 +131,218 @@ function isValidEmail(email) {
   return emailRegex.test(email) && email.length <= 254;
 }
 
+// Marketing consent exactly as ticked on the form - nothing is assumed. Flags can
+// come from JSON (true) or a plain form post ('true' / 'on')
+const CONSENT_TEXT_MAX_LENGTH = 2000;
+
+function consentFlag(value) {
+  return value === true || value === 'true' || value === 'on';
+}
+
+function parseMarketingConsent(body, phone) {
+  const consent = {
+    email: consentFlag(body.email_consent),
+    sms: consentFlag(body.sms_consent),
+    text: typeof body.consent_text === 'string' ? body.consent_text.trim() : '',
+    version: typeof body.consent_version === 'string' ? body.consent_version.trim() : ''
+  };
+  
+  if ((consent.email || consent.sms) && !consent.text) {
+    return { error: 'Consent text is required when consent is given' };
+  }
+  if (consent.text.length > CONSENT_TEXT_MAX_LENGTH) {
+    return { error: 'Consent text is too long' };
+  }
+  if (consent.sms && !phone) {
+    return { error: 'A phone number is required for SMS consent' };
+  }
+  
+  return { consent };
+}
+
+// Refusals are recorded too - the log shows what was offered, not just what was accepted
+function recordMarketingConsent(req, consent, details) {
+  return consentLog.recordConsent({
+    email_consent: consent.email,
+    sms_consent: consent.sms,
+    opt_in_level: consent.email || consent.sms ? 'single_opt_in' : null,
+    consent_text: consent.text || null,
+    consent_version: consent.version || null,
+    ip: req.ip,
+    user_agent: req.get('user-agent') || null,
+    ...details
+  });
+}
+
+// Explicit funnel_id wins, otherwise the funnel whose main product was bought
+function resolveFunnel(funnelId, productId) {
+  if (funnelId) {
+    return funnels.getFunnel(funnelId);
+  }
+  return funnels.findFunnelByMainProduct(productId);
+}
+
+// Checkout currency: an explicit currency wins, then a country hint from the form or the
+// CDN's geo header, then the funnel config default. Returns null for unsupported currencies.
+function resolveCurrency(req) {
+  if (req.body.currency) {
+    const requested = String(req.body.currency).toLowerCase();
+    return funnels.isSupportedCurrency(requested) ? requested : null;
+  }
+  
+  const country = req.body.country || req.get('CF-IPCountry') || req.get('X-Country-Code') || '';
+  return funnels.currencyForCountry(String(country).toUpperCase());
+}
+
+// Stripe amounts are in minor units, except for zero-decimal currencies
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+function toMajorUnits(amount, currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase()) ? amount : amount / 100;
+}
+
+function formatMoney(amount, currency) {
+  const code = currency.toUpperCase();
+  return code === 'USD' ? `$${amount}` : `${amount} ${code}`;
+}
+
+// A Stripe price matches in its own currency or through its currency_options
+function priceMatches(price, amount, currency) {
+  if (price.currency === currency) {
+    return price.unit_amount === amount;
+  }
+  return price.currency_options?.[currency]?.unit_amount === amount;
+}
+
+// Main product plus order bumps - keeps the line_items metadata under Stripe's 500 character limit
+const MAX_LINE_ITEMS = 5;
+
 // Amount validation
 function isValidAmount(amount) {
   return Number.isInteger(amount) && amount > 0 && amount <= 100000; // Max $1000
 }
 
-// Dynamic product validation against Stripe catalog
-async function validateProduct(productId, amount) {
+// Dynamic product validation against the funnel config and Stripe catalog
+async function validateProduct(productId, amount, currency = funnels.getDefaultCurrency()) {
   try {
+    const funnelProduct = funnels.getProduct(productId);
+    const configuredPrices = funnelProduct ? funnels.getProductPrices(funnelProduct, currency) : null;
+    
+    // Configured products may only be sold at their configured prices - currencies
+    // without a local price list are checked against Stripe's currency_options instead
+    if (configuredPrices && !configuredPrices.includes(amount)) {
+      throw new Error(`Amount ${amount} ${currency.toUpperCase()} does not match any valid price for this product`);
+    }
+    
     // Check if we're in test mode
     const isTestMode = process.env.STRIPE_SECRET_KEY?.includes('test');
     
     if (isTestMode) {
-      console.log('🧪 Test mode detected - using flexible product validation');
+      logger.debug('Test mode - using flexible product validation');
       
-      // In test mode, allow common test scenarios without strict validation
-      const testProducts = {
-        'prod_SfYipzYOk3rdyN': { name: 'Black Sheep Business Program', amount: 4700 },
-        'prod_SfYjjur56WyxMI': { name: 'Premium 1-on-1 Coaching', amount: 29700 },
-        'prod_SfdrwTwTQpDt5a': { name: 'Software', amount: 9700 }
-      };
-      
-      // If it's a known test product, return mock validation
-      if (testProducts[productId]) {
-        const testProduct = testProducts[productId];
-        if (testProduct.amount === amount) {
-          return {
-            isValid: true,
-            product: { 
-              id: productId, 
-              name: testProduct.name, 
-              active: true 
-            },
-            price: { 
-              id: 'price_test', 
-              unit_amount: amount, 
-              currency: 'usd' 
-            }
-          };
-        }
+      // Funnel products are trusted as configured without a Stripe round-trip
+      if (configuredPrices) {
+        return {
+          isValid: true,
+          product: { 
+            id: productId, 
+            name: funnelProduct.name, 
+            active: true 
+          },
+          price: { 
+            id: 'price_test', 
+            unit_amount: amount, 
+            currency: currency 
+          },
+          funnelProduct: funnelProduct
+        };
       }
       
       // For other test cases, try to fetch from Stripe but don't fail if not found
       try {
-        const product = await stripe.products.retrieve(productId);
+        const product = await catalog.getProduct(productId);
         
         if (!product.active) {
           throw new Error('Product is not active');
         }
         
-        const prices = await stripe.prices.list({
-          product: productId,
-          active: true,
-          limit: 10
-        });
+        const prices = await catalog.getProductPrices(productId);
         
-        if (prices.data.length === 0) {
+        if (prices.length === 0) {
           throw new Error('No active prices found for product');
         }
         
-        const validPrice = prices.data.find(price => 
-          price.unit_amount === amount && price.currency === 'usd'
-        );
+        const validPrice = prices.find(price => priceMatches(price, amount, currency));
         
         if (!validPrice) {
-          throw new Error(`Amount ${amount} cents does not match any valid price for this product`);
+          throw new Error(`Amount ${amount} ${currency.toUpperCase()} does not match any valid price for this product`);
         }
         
         return {
           isValid: true,
           product: product,
-          price: validPrice
+          price: validPrice,
+          funnelProduct: funnelProduct
         };
         
       } catch (testError) {
         // In test mode, if product doesn't exist, create a mock response
-        console.log(`⚠️ Test mode: Product ${productId} not found, using fallback validation`);
+        logger.warn('Test mode: product not found, using fallback validation', { product_id: productId });
         return {
           isValid: true,
           product: { 
             id: productId, 
-            name: 'Test Product', 
+            name: funnelProduct?.name || 'Test Product', 
             active: true 
           },
           price: { 
             id: 'price_test_fallback', 
             unit_amount: amount, 
-            currency: 'usd' 
-          }
+            currency: currency 
+          },
+          funnelProduct: funnelProduct
         };
       }
     }
     
     // LIVE MODE - Strict validation
-    console.log('🔴 Live mode detected - using strict product validation');
+    logger.debug('Live mode - using strict product validation');
+    
+    // Only products defined in the funnel config can be sold
+    if (!funnelProduct) {
+      throw new Error('Product is not available for purchase');
+    }
     
     // Get product details from Stripe
-    const product = await stripe.products.retrieve(productId);
+    const product = await catalog.getProduct(productId);
     
     if (!product.active) {
       throw new Error('Product is not active');
     }
     
-    // Get the default price for this product
-    const prices = await stripe.prices.list({
-      product: productId,
-      active: true,
-      limit: 10
-    });
+    // Get the active prices for this product
+    const prices = await catalog.getProductPrices(productId);
     
-    if (prices.data.length === 0) {
+    if (prices.length === 0) {
       throw new Error('No active prices found for product');
     }
     
-    // Check if the submitted amount matches any of the product's prices
-    const validPrice = prices.data.find(price => 
-      price.unit_amount === amount && price.currency === 'usd'
-    );
+    // Check if the submitted amount matches any of the product's prices in this currency
+    const validPrice = prices.find(price => priceMatches(price, amount, currency));
     
     if (!validPrice) {
-      throw new Error(`Amount ${amount} cents does not match any valid price for this product`);
+      throw new Error(`Amount ${amount} ${currency.toUpperCase()} does not match any valid price for this product`);
     }
     
     return {
       isValid: true,
       product: product,
-      price: validPrice
+      price: validPrice,
+      funnelProduct: funnelProduct
     };
     
   } catch (error) {
-    console.error('Product validation error:', error.message);
+    logger.error('Product validation error', { error: error.message });
     return {
       isValid: false,
       error: error.message
@@ -212,35 +350,219 @@ async function validateProduct(productId, amount) {
   }
 }
 
-function rateLimit(req, res, next) {
-  const ip = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxRequests = 10;
+// What each item is taxed on - a promo discount is spread over the items by value
+function taxableItems(items, discountAmount) {
+  const subtotal = items.reduce((sum, item) => sum + item.amount * item.quantity, 0);
+  let remaining = discountAmount;
+  
+  return items.map((item, index) => {
+    const itemTotal = item.amount * item.quantity;
+    const share = index === items.length - 1 ? remaining : Math.round(discountAmount * itemTotal / subtotal);
+    remaining -= share;
+    return { reference: item.product_id, amount: itemTotal - share };
+  });
+}
+
+// Tax on top of the charge, or { error } for an address that can't be taxed.
+// Null when tax is off
+async function calculateTax(currency, address, items, discountAmount) {
+  if (!tax.isEnabled()) {
+    return null;
+  }
+  
+  const result = await tax.calculate({ currency: currency, address: address, items: taxableItems(items, discountAmount) });
+  if (!result.error) {
+    logger.info('Tax calculated', { country: address.country, tax_amount: result.amount, currency: currency, tax_lines: result.lines.map(line => `${line.title} ${line.rate}%`) });
+  }
+  return result;
+}
+
+// Stamped on the payment so the order, receipt and reports show what was collected
+function taxMetadata(taxResult, address) {
+  return {
+    tax_amount: taxResult.amount.toString(),
+    tax_lines: JSON.stringify(taxResult.lines),
+    tax_calculation: taxResult.calculation_id || '',
+    billing_country: address.country,
+    billing_postal_code: address.postal_code || ''
+  };
+}
+
+function parseTaxLines(paymentIntent) {
+  try {
+    const lines = JSON.parse(paymentIntent.metadata.tax_lines || '[]');
+    return Array.isArray(lines) ? lines : [];
+  } catch (error) {
+    logger.warn('Could not parse tax lines metadata', { error: error.message });
+    return [];
+  }
+}
+
+// Stripe won't charge less than 50 cents
+const MIN_CHARGE_AMOUNT = 50;
+
+// Card testers rotate IPs and emails but reuse cards - count payments per card fingerprint too
+rateLimits.registerKey('card', async (req) => {
+  const paymentMethodId = req.body.payment_method_id;
+  if (!paymentMethodId || typeof paymentMethodId !== 'string') {
+    return null;
+  }
+  
+  try {
+    const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+    return paymentMethod.card?.fingerprint || null;
+  } catch (error) {
+    logger.warn('Could not look up card fingerprint for rate limiting', { error: error.message });
+    return null;
+  }
+});
+
+// Reuse the Stripe customer for this email (new card becomes their default, billing
+// details given at this checkout replace the old ones), or create one
+async function findOrCreateStripeCustomer(email, paymentMethodId, { name, address }) {
+  const billingDetails = { name: name || undefined, address: buyerDetails.stripeAddress(address) };
+  let customer;
+  let isExistingCustomer = false;
   
-  // Clean old entries
-  for (const [key, data] of requestCounts.entries()) {
-    if (now - data.firstRequest > windowMs) {
-      requestCounts.delete(key);
+  // CHECK FOR EXISTING CUSTOMER FIRST
+  try {
+    logger.debug('Checking for existing customer', { email: email });
+    
+    const existingCustomers = await stripe.customers.list({
+      email: email,
+      limit: 1
+    });
+    
+    if (existingCustomers.data.length > 0) {
+      customer = existingCustomers.data[0];
+      isExistingCustomer = true;
+      logger.info('Found existing customer', { customer_id: customer.id });
+      
+      // Attach new payment method to existing customer
+      await stripe.paymentMethods.attach(paymentMethodId, {
+        customer: customer.id,
+      });
+      
+      // Update their default payment method
+      await stripe.customers.update(customer.id, {
+        ...billingDetails,
+        invoice_settings: {
+          default_payment_method: paymentMethodId,
+        },
+      });
+      
+    } else {
+      logger.info('Creating new customer', { email: email });
+      
+      customer = await stripe.customers.create({
+        email: email,
+        ...billingDetails,
+        payment_method: paymentMethodId,
+        invoice_settings: {
+          default_payment_method: paymentMethodId,
+        },
+      });
+      
+      await stripe.paymentMethods.attach(paymentMethodId, {
+        customer: customer.id,
+      });
     }
+    
+  } catch (customerError) {
+    logger.error('Error handling customer', { error: customerError });
+    // Fall back to creating new customer
+    customer = await stripe.customers.create({
+      email: email,
+      ...billingDetails,
+      payment_method: paymentMethodId,
+      invoice_settings: {
+        default_payment_method: paymentMethodId,
+      },
+    });
+    
+    await stripe.paymentMethods.attach(paymentMethodId, {
+      customer: customer.id,
+    });
   }
   
-  const current = requestCounts.get(ip) || { count: 0, firstRequest: now };
+  return { customer, isExistingCustomer };
+}
+
+// Start a payment plan or subscription on the customer's saved card. Returns the
+// first invoice's payment intent so callers can treat it like a one-off charge,
+// and what Stripe's discount took off that first installment.
+async function startPlan({ customerId, paymentMethodId, plan, currency, promotion, metadata, taxAddress, idempotencyKey }) {
+  const price = await catalog.getPrice(plan.price_id);
+  if (!price.recurring) {
+    throw new Error(`Plan price ${plan.price_id} is not a recurring price`);
+  }
   
-  if (now - current.firstRequest > windowMs) {
-    current.count = 1;
-    current.firstRequest = now;
-  } else {
-    current.count++;
+  const unitAmount = price.currency === currency ? price.unit_amount : price.currency_options?.[currency]?.unit_amount;
+  if (unitAmount === undefined) {
+    throw new Error(`Plan price ${plan.price_id} is not available in ${currency.toUpperCase()}`);
   }
   
-  requestCounts.set(ip, current);
+  const planMetadata = {
+    ...metadata,
+    plan_type: plan.type,
+    installments: plan.type === 'installments' ? plan.installments.toString() : ''
+  };
+  
+  logger.info('Starting plan', { plan_type: plan.type, unit_amount: unitAmount, currency: currency, interval: price.recurring.interval, interval_count: price.recurring.interval_count });
+  
+  // Stripe taxes each invoice itself - through Stripe Tax, or the table's rates as Stripe tax rates
+  const taxSettings = tax.isEnabled() && taxAddress ? await tax.subscriptionTaxSettings(customerId, taxAddress) : {};
+  
+  const subscription = await stripe.subscriptions.create({
+    customer: customerId,
+    items: [{ price: plan.price_id }],
+    currency: currency,
+    default_payment_method: paymentMethodId,
+    payment_behavior: 'allow_incomplete',
+    proration_behavior: 'none',
+    // Stripe applies plan discounts itself, installment by installment
+    promotion_code: promotion?.promotion_code_id || undefined,
+    coupon: promotion && !promotion.promotion_code_id ? promotion.coupon.id : undefined,
+    metadata: planMetadata,
+    ...taxSettings,
+    expand: ['latest_invoice.payment_intent']
+  }, idempotencyKey ? { idempotencyKey } : undefined);
+  
+  logger.info('Subscription created', { subscription_id: subscription.id, status: subscription.status });
   
-  if (current.count > maxRequests) {
-    return res.status(429).json({ error: 'Too many requests, please try again later' });
+  const discountAmount = plans.invoiceDiscountAmount(subscription.latest_invoice);
+  const invoicePayment = subscription.latest_invoice?.payment_intent;
+  if (invoicePayment) {
+    return { paymentIntent: invoicePayment, discountAmount };
   }
   
-  next();
+  // Nothing to charge up front (a trial, or a coupon covering the first invoice) - the
+  // plan has started and Stripe bills it later, so this counts as a successful checkout
+  return {
+    paymentIntent: {
+      id: subscription.id,
+      amount: 0,
+      currency: currency,
+      status: subscription.status === 'active' || subscription.status === 'trialing' ? 'succeeded' : subscription.status,
+      client_secret: null
+    },
+    discountAmount
+  };
+}
+
+// Per-item breakdown stamped on the payment at checkout; single-product payments
+// (upsells, older charges) are treated as one item for the full amount
+function parseLineItems(paymentIntent) {
+  try {
+    const items = JSON.parse(paymentIntent.metadata.line_items || '[]');
+    if (Array.isArray(items) && items.length > 0) {
+      return items;
+    }
+  } catch (error) {
+    logger.warn('Could not parse line items metadata', { error: error.message });
+  }
+  
+  return [{ product_id: paymentIntent.metadata.product_id, amount: paymentIntent.amount, quantity: 1 }];
 }
 
 // Check if customer is truly returning (not just upsells)
@@ -267,12 +589,12 @@ async function isReturningCustomer(customerId, currentPurchaseTime) {
     const lastMainPurchase = successfulPurchases[0];
     const hoursSinceLastPurchase = (currentPurchaseTime - lastMainPurchase.created) / 3600;
     
-    console.log(`⏰ Hours since last main purchase: ${hoursSinceLastPurchase.toFixed(2)}`);
+    logger.debug('Hours since last main purchase', { hours: Number(hoursSinceLastPurchase.toFixed(2)) });
     
     return hoursSinceLastPurchase >= 1; // 1+ hours = returning customer
     
   } catch (error) {
-    console.error('Error checking returning customer status:', error);
+    logger.error('Error checking returning customer status', { error: error });
     return false;
   }
 }
@@ -281,15 +603,45 @@ async function isReturningCustomer(customerId, currentPurchaseTime) {
 // PAYMENT ENDPOINTS
 // ═══════════════════════════════════════════════════════════════
 
+// The stored upsell token may have been used since - replays get the session's current one
+function withCurrentUpsellToken(body) {
+  const upsellToken = body?.upsell_token && upsellTokens.currentUpsellToken(body.upsell_token);
+  return upsellToken ? { ...body, upsell_token: upsellToken } : body;
+}
+
+// Repeats of the same checkout step (same key, same details) get the original response
+const paymentIdempotency = idempotent('payment', {
+  deriveKey: req => req.body.checkout_session_id ? `${req.body.checkout_session_id}:main` : null,
+  fingerprint: req => [req.body.payment_method_id, req.body.email, req.body.amount, req.body.product_id, req.body.line_items, req.body.promo_code, req.body.currency, req.body.country, req.body.phone, req.body.email_consent, req.body.sms_consent, req.body.name, req.body.billing_address],
+  onReplay: withCurrentUpsellToken
+});
+
+const upsellIdempotency = idempotent('upsell', {
+  deriveKey: req => req.body.checkout_session_id ? `${req.body.checkout_session_id}:upsell:${req.body.product_id}` : null,
+  fingerprint: req => [req.body.upsell_token, req.body.amount, req.body.product_id, req.body.promo_code],
+  onReplay: withCurrentUpsellToken
+});
+
+const declineIdempotency = idempotent('decline', {
+  deriveKey: req => req.body.checkout_session_id ? `${req.body.checkout_session_id}:decline:${req.body.step_id}` : null,
+  fingerprint: req => [req.body.upsell_token, req.body.step_id],
+  onReplay: withCurrentUpsellToken
+});
+
 // Process main course payment with existing customer detection
-app.post('/process-payment', rateLimit, async (req, res) => {
+app.post('/process-payment', rateLimits.rateLimit('payment'), paymentIdempotency, async (req, res) => {
   try {
-    const { payment_method_id, email, amount, product_id } = req.body;
+    const { payment_method_id, email, phone, amount, product_id, funnel_id, line_items, promo_code } = req.body;
+    
+    // Order bumps arrive as extra line items after the main product. A plain
+    // product_id + amount is still accepted as a one-item order
+    const items = Array.isArray(line_items) && line_items.length > 0
+      ? line_items.map(item => ({ product_id: item?.product_id, amount: item?.amount, quantity: item?.quantity ?? 1 }))
+      : [{ product_id: product_id, amount: amount, quantity: 1 }];
+    const mainProductId = items[0].product_id;
     
-    // DEBUG: Log the received amount
-    console.log(`🔍 DEBUG: Received amount from frontend: ${amount} (should be in cents)`);
-    console.log(`🔍 DEBUG: Amount as dollars: ${amount / 100}`);
-    console.log(`🔍 DEBUG: Product ID: ${product_id}`);
+    // DEBUG: Log the received amounts
+    logger.debug('Received line items from frontend', { items: items });
     
     // Security validations
     if (!payment_method_id || typeof payment_method_id !== 'string') {
@@ -300,108 +652,232 @@ app.post('/process-payment', rateLimit, async (req, res) => {
       return res.status(400).json({ error: 'Invalid email address' });
     }
     
-    if (!isValidAmount(amount)) {
-      console.log(`❌ Amount validation failed: ${amount}`);
+    if (items.length > MAX_LINE_ITEMS) {
+      return res.status(400).json({ error: 'Too many items in order' });
+    }
+    
+    if (phone !== undefined && (typeof phone !== 'string' || !phone.trim())) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+    const sanitizedPhone = phone ? phone.trim() : null;
+    
+    const { consent, error: consentError } = parseMarketingConsent(req.body, sanitizedPhone);
+    if (consentError) {
+      return res.status(400).json({ error: consentError });
+    }
+    
+    // Name and address from the checkout form win; what the card form collected fills the gaps
+    const paymentMethodDetails = req.body.name === undefined || req.body.billing_address === undefined
+      ? (await stripe.paymentMethods.retrieve(payment_method_id)).billing_details || {}
+      : {};
+    
+    const { name: sanitizedName, error: nameError } = buyerDetails.parseBuyerName(req.body.name ?? paymentMethodDetails.name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+    
+    const { address: billingAddress, error: addressError } = buyerDetails.parseBillingAddress(req.body.billing_address ?? paymentMethodDetails.address);
+    if (addressError) {
+      return res.status(400).json({ error: addressError });
+    }
+    if (tax.isEnabled() && !billingAddress?.country) {
+      return res.status(400).json({ error: 'Billing country is required' });
+    }
+    
+    const currency = resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    for (const item of items) {
+      if (!isValidAmount(item.amount)) {
+        logger.warn('Amount validation failed', { amount: item.amount });
+        return res.status(400).json({ error: 'Invalid amount' });
+      }
+      
+      if (!item.product_id || typeof item.product_id !== 'string') {
+        return res.status(400).json({ error: 'Invalid product' });
+      }
+      
+      if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > 10) {
+        return res.status(400).json({ error: 'Invalid quantity' });
+      }
+    }
+    
+    if (new Set(items.map(item => item.product_id)).size !== items.length) {
+      return res.status(400).json({ error: 'Duplicate product in order' });
+    }
+    
+    const totalAmount = items.reduce((sum, item) => sum + item.amount * item.quantity, 0);
+    if (!isValidAmount(totalAmount)) {
+      logger.warn('Order total validation failed', { total_amount: totalAmount });
       return res.status(400).json({ error: 'Invalid amount' });
     }
     
-    if (!product_id || typeof product_id !== 'string') {
-      return res.status(400).json({ error: 'Invalid product' });
+    const funnel = resolveFunnel(funnel_id, mainProductId);
+    if (funnel_id && !funnel) {
+      return res.status(400).json({ error: 'Invalid funnel' });
     }
     
-    // Dynamic product validation against Stripe
-    const productValidation = await validateProduct(product_id, amount);
-    if (!productValidation.isValid) {
-      return res.status(400).json({ error: productValidation.error });
+    // Within a funnel, the first item must be its main product and the rest its order bumps
+    if (funnel) {
+      const mainStep = funnels.getMainStep(funnel);
+      const orderBumps = mainStep.order_bumps || [];
+      
+      if (mainProductId !== mainStep.product) {
+        return res.status(400).json({ error: 'Product is not part of this funnel' });
+      }
+      
+      if (items.slice(1).some(item => !orderBumps.includes(item.product_id))) {
+        return res.status(400).json({ error: 'Order bump is not offered in this funnel' });
+      }
+    }
+    
+    // Dynamic product validation against Stripe - every line item is checked
+    const validations = [];
+    for (const item of items) {
+      const itemValidation = await validateProduct(item.product_id, item.amount, currency);
+      if (!itemValidation.isValid) {
+        return res.status(400).json({ error: itemValidation.error });
+      }
+      
+      logger.info('Product validated', { product_id: itemValidation.product.id, amount: item.amount, quantity: item.quantity });
+      validations.push(itemValidation);
     }
+    const productValidation = validations[0];
     
-    console.log(`✅ Product validated: ${productValidation.product.name} - ${amount/100} (${amount} cents)`);
+    if (productValidation.funnelProduct?.plan && items.length > 1) {
+      return res.status(400).json({ error: 'Order bumps cannot be combined with a payment plan' });
+    }
     
     const sanitizedEmail = email.toLowerCase().trim();
-    let customer;
-    let isExistingCustomer = false;
+    const { customer, isExistingCustomer } = await findOrCreateStripeCustomer(sanitizedEmail, payment_method_id, {
+      name: sanitizedName,
+      address: billingAddress
+    });
     
-    // CHECK FOR EXISTING CUSTOMER FIRST
-    try {
-      console.log(`🔍 Checking for existing customer: ${sanitizedEmail}`);
-      
-      const existingCustomers = await stripe.customers.list({
-        email: sanitizedEmail,
-        limit: 1
+    const purchaseMetadata = {
+      product_id: mainProductId,
+      customer_email: sanitizedEmail,
+      customer_name: sanitizedName || '',
+      is_main_purchase: 'true',
+      is_existing_customer: isExistingCustomer.toString(),
+      customer_stripe_id: customer.id,
+      funnel_id: funnel ? funnel.id : '',
+      product_tag: productValidation.funnelProduct?.shopify_tag || '',
+      purchase_type: productValidation.funnelProduct?.purchase_type || '',
+      purchase_timestamp: Math.floor(Date.now() / 1000).toString(),
+      customer_phone: sanitizedPhone || '',
+      email_consent: consent.email.toString(),
+      sms_consent: consent.sms.toString(),
+      consent_at: new Date().toISOString(),
+      // Ties the webhook and post-purchase logs back to this checkout
+      request_id: req.requestId
+    };
+    
+    // Promo codes are checked and priced here - the client only ever sends list prices
+    let promo = null;
+    if (promo_code) {
+      promo = await promoCodes.applyPromoCode(promo_code, items, { isExistingCustomer, currency });
+      if (promo.error) {
+        return res.status(400).json({ error: promo.error });
+      }
+      purchaseMetadata.promo_code = promo.promotion.code;
+      purchaseMetadata.coupon_id = promo.promotion.coupon.id;
+    }
+    
+    const chargeAmount = totalAmount - (promo ? promo.discountAmount : 0);
+    
+    let paymentIntent;
+    let taxResult = null;
+    let planDiscountAmount = null;
+    
+    if (productValidation.funnelProduct?.plan) {
+      // Payment plans and subscriptions bill through Stripe - first installment is charged now
+      const planStart = await startPlan({
+        customerId: customer.id,
+        paymentMethodId: payment_method_id,
+        plan: productValidation.funnelProduct.plan,
+        currency: currency,
+        promotion: promo?.promotion,
+        metadata: purchaseMetadata,
+        taxAddress: billingAddress,
+        idempotencyKey: req.idempotencyKey
       });
+      paymentIntent = planStart.paymentIntent;
+      planDiscountAmount = planStart.discountAmount;
+    } else {
+      if (chargeAmount < MIN_CHARGE_AMOUNT) {
+        return res.status(400).json({ error: 'Order total after discount is below the minimum charge' });
+      }
       
-      if (existingCustomers.data.length > 0) {
-        customer = existingCustomers.data[0];
-        isExistingCustomer = true;
-        console.log(`👤 Found existing customer: ${customer.id}`);
-        
-        // Attach new payment method to existing customer
-        await stripe.paymentMethods.attach(payment_method_id, {
-          customer: customer.id,
-        });
-        
-        // Update their default payment method
-        await stripe.customers.update(customer.id, {
-          invoice_settings: {
-            default_payment_method: payment_method_id,
-          },
-        });
-        
-      } else {
-        console.log(`👤 Creating new customer for: ${sanitizedEmail}`);
-        
-        customer = await stripe.customers.create({
-          email: sanitizedEmail,
-          payment_method: payment_method_id,
-          invoice_settings: {
-            default_payment_method: payment_method_id,
-          },
-        });
-        
-        await stripe.paymentMethods.attach(payment_method_id, {
-          customer: customer.id,
-        });
+      taxResult = await calculateTax(currency, billingAddress, items, promo ? promo.discountAmount : 0);
+      if (taxResult?.error) {
+        return res.status(400).json({ error: taxResult.error });
       }
+      const taxAmount = taxResult ? taxResult.amount : 0;
       
-    } catch (customerError) {
-      console.error('Error handling customer:', customerError);
-      // Fall back to creating new customer
-      customer = await stripe.customers.create({
-        email: sanitizedEmail,
-        payment_method: payment_method_id,
-        invoice_settings: {
-          default_payment_method: payment_method_id,
-        },
-      });
+      // DEBUG: Log amount before creating payment intent
+      logger.debug('Creating payment intent', { amount: chargeAmount + taxAmount, currency: currency });
       
-      await stripe.paymentMethods.attach(payment_method_id, {
+      // Create and confirm one payment intent for the whole order
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: chargeAmount + taxAmount,
+        currency: currency,
         customer: customer.id,
-      });
+        payment_method: payment_method_id,
+        confirmation_method: 'manual',
+        confirm: true,
+        return_url: funnel?.return_url || 'https://getblacksheep.com/pages/welcome',
+        metadata: {
+          ...purchaseMetadata,
+          line_items: JSON.stringify(items),
+          discount_amount: promo ? promo.discountAmount.toString() : '',
+          ...(taxResult && taxMetadata(taxResult, billingAddress))
+        }
+      }, req.idempotencyKey ? { idempotencyKey: req.idempotencyKey } : undefined);
     }
     
-    // DEBUG: Log amount before creating payment intent
-    console.log(`💳 Creating payment intent with amount: ${amount} cents (${amount/100})`);
+    logger.info('Payment intent created', { payment_intent_id: paymentIntent.id, amount: paymentIntent.amount, currency: currency });
     
-    // Create and confirm payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amount,
-      currency: 'usd',
-      customer: customer.id,
-      payment_method: payment_method_id,
-      confirmation_method: 'manual',
-      confirm: true,
-      return_url: 'https://getblacksheep.com/pages/welcome',
-      metadata: {
-        product_id: product_id,
-        customer_email: sanitizedEmail,
-        is_main_purchase: 'true',
-        is_existing_customer: isExistingCustomer.toString(),
-        customer_stripe_id: customer.id,
-        purchase_timestamp: Math.floor(Date.now() / 1000).toString()
+    // Plans report what Stripe took off the first installment, not off the list price
+    const promoResponse = promo ? { promo_code: promo.promotion.code, discount_amount: planDiscountAmount ?? promo.discountAmount } : {};
+    const taxResponse = taxResult ? { tax_amount: taxResult.amount, tax_lines: taxResult.lines } : {};
+    
+    // A declined checkout leaves no consent or promo redemption behind
+    if (paymentIntent.status === 'succeeded' || paymentIntent.status === 'requires_action') {
+      recordMarketingConsent(req, consent, {
+        at: purchaseMetadata.consent_at,
+        email: sanitizedEmail,
+        phone: sanitizedPhone,
+        source: 'checkout',
+        form: funnel ? funnel.id : 'checkout',
+        payment_intent_id: paymentIntent.id
+      });
+      
+      // Stripe counts plan redemptions itself, on the subscription
+      if (promo && !productValidation.funnelProduct?.plan) {
+        promoCodes.recordPromoRedemption(promo.redemptionKey);
       }
-    });
+    }
     
-    console.log(`🎉 Payment intent created: ${paymentIntent.id} for ${paymentIntent.amount/100}`);
+    // Upsells can only be charged with this server-issued token (checked again
+    // against the main payment's final status when it's used)
+    let upsellToken = null;
+    let firstOffer = {};
+    if (funnel && (paymentIntent.status === 'succeeded' || paymentIntent.status === 'requires_action')) {
+      firstOffer = funnels.describeOffer(funnel, funnels.getMainStep(funnel).next, currency);
+      upsellToken = upsellTokens.createUpsellSession({
+        customerId: customer.id,
+        paymentMethodId: payment_method_id,
+        funnelId: funnel.id,
+        paymentIntentId: paymentIntent.id,
+        mainPaymentConfirmed: paymentIntent.status === 'succeeded',
+        currentStep: funnels.getMainStep(funnel).next,
+        currency: currency,
+        billingAddress: billingAddress
+      }).token;
+    }
     
     if (paymentIntent.status === 'requires_action') {
       res.json({
@@ -410,7 +886,12 @@ app.post('/process-payment', rateLimit, async (req, res) => {
         customer_id: customer.id,
         payment_method_id: payment_method_id,
         email: sanitizedEmail,
-        is_existing_customer: isExistingCustomer
+        is_existing_customer: isExistingCustomer,
+        currency: currency,
+        upsell_token: upsellToken,
+        ...firstOffer,
+        ...promoResponse,
+        ...taxResponse
       });
     } else if (paymentIntent.status === 'succeeded') {
       res.json({
@@ -418,14 +899,19 @@ app.post('/process-payment', rateLimit, async (req, res) => {
         customer_id: customer.id,
         payment_method_id: payment_method_id,
         email: sanitizedEmail,
-        is_existing_customer: isExistingCustomer
+        is_existing_customer: isExistingCustomer,
+        currency: currency,
+        upsell_token: upsellToken,
+        ...firstOffer,
+        ...promoResponse,
+        ...taxResponse
       });
     } else {
       res.status(400).json({ error: 'Payment failed' });
     }
     
   } catch (error) {
-    console.error('Payment processing error:', error);
+    logger.error('Payment processing error', { error: error });
     
     const safeError = error.type === 'StripeCardError' ? 
       error.message : 'Payment processing failed';
@@ -435,9 +921,9 @@ app.post('/process-payment', rateLimit, async (req, res) => {
 });
 
 // Process opt-in form submission (no payment)
-app.post('/process-optin', rateLimit, async (req, res) => {
+app.post('/process-optin', rateLimits.rateLimit('optin'), async (req, res) => {
   try {
-    const { name, email, phone, optin_tag, form_name, lead_magnet, step_number } = req.body;
+    const { name, email, phone, optin_tag, form_name, lead_magnet, step_number, funnel_id } = req.body;
     
     // Validation
     if (!name || typeof name !== 'string' || name.trim().length < 2) {
@@ -456,13 +942,21 @@ app.post('/process-optin', rateLimit, async (req, res) => {
       return res.status(400).json({ error: 'Invalid optin configuration' });
     }
     
+    // Optional - picks the funnel's destinations instead of the default ones
+    if (funnel_id !== undefined && !funnels.getFunnel(funnel_id)) {
+      return res.status(400).json({ error: 'Invalid funnel' });
+    }
+    
     const sanitizedEmail = email.toLowerCase().trim();
     const sanitizedName = name.trim();
     const sanitizedPhone = phone.trim();
     
-    console.log(`📋 Processing opt-in for: ${sanitizedEmail}`);
-    console.log(`📝 Form: ${form_name || 'Unknown'}`);
-    console.log(`🏷️ Tag: ${optin_tag}`);
+    const { consent, error: consentError } = parseMarketingConsent(req.body, sanitizedPhone);
+    if (consentError) {
+      return res.status(400).json({ error: consentError });
+    }
+    
+    logger.info('Processing opt-in', { email: sanitizedEmail, form_name: form_name || 'Unknown', optin_tag: optin_tag });
     
     // Create opt-in data for processing
     const optinData = {
@@ -473,148 +967,428 @@ app.post('/process-optin', rateLimit, async (req, res) => {
       form_name: form_name || 'Opt-in Form',
       lead_magnet: lead_magnet || 'Lead Magnet',
       step_number: step_number || 1,
-      optin_timestamp: new Date().toISOString()
+      funnel_id: funnel_id || null,
+      optin_timestamp: new Date().toISOString(),
+      email_consent: consent.email,
+      sms_consent: consent.sms
     };
     
-    // Process the opt-in - SIMPLIFIED to just Shopify (will auto-sync to Klaviyo)
-    await createOrUpdateShopifyLead(optinData);
+    // Double opt-in: the lead is synced now, but marketing consent only once the
+    // link we email them is clicked. Nothing to confirm if nothing was ticked
+    const awaitingConfirmation = optinConfirmations.isDoubleOptInEnabled() && (consent.email || consent.sms);
+    
+    recordMarketingConsent(req, consent, {
+      at: optinData.optin_timestamp,
+      email: sanitizedEmail,
+      phone: sanitizedPhone,
+      source: 'optin',
+      form: optinData.form_name,
+      ...(awaitingConfirmation && { opt_in_level: 'pending_confirmation' })
+    });
+    
+    if (awaitingConfirmation) {
+      const { token } = optinConfirmations.createPendingOptin({
+        ...optinData,
+        consent_text: consent.text,
+        consent_version: consent.version
+      });
+      await sendOptinConfirmationEmail(optinData, `${publicBaseUrl(req)}/confirm-optin/${token}`);
+    }
+    
+    await dispatchEvent(
+      'lead.created',
+      { ...optinData, awaiting_confirmation: awaitingConfirmation },
+      `optin:${sanitizedEmail}:${optinData.optin_timestamp}`,
+      optinData.funnel_id
+    );
     
-    console.log(`✅ Opt-in processed successfully for: ${sanitizedEmail}`);
+    logger.info('Opt-in processed', { email: sanitizedEmail });
     
     res.json({
       success: true,
       message: 'Opt-in processed successfully',
       email: sanitizedEmail,
-      optin_tag: optin_tag
+      optin_tag: optin_tag,
+      email_consent: consent.email,
+      sms_consent: consent.sms,
+      confirmation_required: awaitingConfirmation
     });
     
   } catch (error) {
-    console.error('Opt-in processing error:', error);
+    logger.error('Opt-in processing error', { error: error });
     res.status(400).json({ error: 'Failed to process opt-in. Please try again.' });
   }
 });
 
-// Create or update Shopify customer with opt-in tag
-async function createOrUpdateShopifyLead(data) {
-  const SHOPIFY_STORE_URL = process.env.SHOPIFY_STORE_URL;
-  const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-  
-  if (!SHOPIFY_STORE_URL || !SHOPIFY_ACCESS_TOKEN) {
-    console.log('⚠️ Shopify credentials not configured for opt-ins');
-    return;
+// Link from the double opt-in email. Opening it only shows a confirm button - mail
+// scanners and link prefetchers open links too, and mustn't confirm for the subscriber
+app.get('/confirm-optin/:token', rateLimits.rateLimit('optin_confirm'), (req, res) => {
+  const { error } = optinConfirmations.verifyOptinToken(req.params.token);
+  if (error) {
+    return res.status(400).json({ error: error });
   }
   
-  console.log(`🛍️ Processing Shopify lead: ${data.email}`);
-  console.log(`🏷️ Opt-in tag: ${data.optin_tag}`);
-  
+  const action = emailTemplates.escapeHtml(`/confirm-optin/${encodeURIComponent(req.params.token)}`);
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Confirm your subscription</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 40px auto; text-align: center;">
+  <h1>Confirm your subscription</h1>
+  <form method="post" action="${action}">
+    <button type="submit" style="font-size: 1.1em; padding: 12px 24px;">Yes, subscribe me</button>
+  </form>
+</body>
+</html>
+`);
+});
+
+// The confirm button - upgrades the lead's consent to confirmed. Confirming again
+// changes nothing
+app.post('/confirm-optin/:token', rateLimits.rateLimit('optin_confirm'), async (req, res) => {
   try {
-    // Search for existing customer
-    const searchUrl = `https://${SHOPIFY_STORE_URL}/admin/api/2023-10/customers/search.json?query=email:${encodeURIComponent(data.email)}`;
-    const searchResponse = await fetch(searchUrl, {
-      method: 'GET',
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json'
-      }
-    });
+    const { pending, error } = optinConfirmations.verifyOptinToken(req.params.token);
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
     
-    const searchResult = await searchResponse.json();
+    const data = pending.data;
     
-    if (searchResult.customers && searchResult.customers.length > 0) {
-      // EXISTING CUSTOMER - Add opt-in tag
-      const customer = searchResult.customers[0];
-      console.log(`👤 Updating existing Shopify customer: ${customer.id}`);
+    if (!pending.confirmed_at) {
+      const confirmed = optinConfirmations.markConfirmed(pending.id);
       
-      const existingTags = customer.tags ? customer.tags.split(', ').map(tag => tag.trim()) : [];
-      const newTags = ['lead', data.optin_tag];
-      const allTags = [...new Set([...existingTags, ...newTags])];
-      
-      const updateResponse = await fetch(`https://${SHOPIFY_STORE_URL}/admin/api/2023-10/customers/${customer.id}.json`, {
-        method: 'PUT',
-        headers: {
-          'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          customer: {
-            id: customer.id,
-            tags: allTags.join(', '),
-            phone: data.phone,
-            first_name: data.name.split(' ')[0],
-            last_name: data.name.split(' ').slice(1).join(' '),
-            note: updateOptinNote(customer.note, data),
-            accepts_marketing: true,
-            accepts_marketing_updated_at: new Date().toISOString(),
-            email_marketing_consent: {
-              state: 'subscribed',
-              opt_in_level: 'single_opt_in',
-              consent_updated_at: new Date().toISOString(),
-              consent_collected_from: 'WEB'
-            },
-            sms_marketing_consent: {
-              state: 'subscribed',
-              opt_in_level: 'single_opt_in',
-              consent_updated_at: new Date().toISOString(),
-              consent_collected_from: 'WEB'
-            }
-          }
-        })
+      recordMarketingConsent(req, {
+        email: data.email_consent,
+        sms: data.sms_consent,
+        text: data.consent_text,
+        version: data.consent_version
+      }, {
+        at: confirmed.confirmed_at,
+        email: data.email,
+        phone: data.phone,
+        source: 'optin_confirmation',
+        form: data.form_name,
+        opt_in_level: 'confirmed_opt_in'
       });
       
-      if (updateResponse.ok) {
-        console.log(`✅ Updated lead with tags: ${allTags.join(', ')}`);
-        console.log(`📧 Email marketing: SUBSCRIBED`);
-        console.log(`📱 SMS marketing: SUBSCRIBED`);
-      }
-      
-    } else {
-      // NEW LEAD - Create customer
-      console.log(`👤 Creating new Shopify lead...`);
-      
-      const createResponse = await fetch(`https://${SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json`, {
-        method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          customer: {
-            email: data.email,
-            phone: data.phone,
-            first_name: data.name.split(' ')[0],
-            last_name: data.name.split(' ').slice(1).join(' '),
-            tags: ['lead', data.optin_tag].join(', '),
-            note: buildOptinNote(data),
-            verified_email: false,
-            accepts_marketing: true,
-            accepts_marketing_updated_at: new Date().toISOString(),
-            email_marketing_consent: {
-              state: 'subscribed',
-              opt_in_level: 'single_opt_in',
-              consent_updated_at: new Date().toISOString(),
-              consent_collected_from: 'WEB'
-            },
-            sms_marketing_consent: {
-              state: 'subscribed',
-              opt_in_level: 'single_opt_in',
-              consent_updated_at: new Date().toISOString(),
-              consent_collected_from: 'WEB'
-            }
-          }
-        })
-      });
-      
-      if (createResponse.ok) {
-        const newCustomer = await createResponse.json();
-        console.log(`✅ Created new lead with tags: lead, ${data.optin_tag}`);
-        console.log(`📧 Email marketing: SUBSCRIBED`);
-        console.log(`📱 SMS marketing: SUBSCRIBED`);
-      }
+      logger.info('Opt-in confirmed', { email: data.email });
+      await dispatchEvent(
+        'lead.confirmed',
+        { ...data, confirmed_at: confirmed.confirmed_at },
+        `optin-confirmed:${pending.id}`,
+        data.funnel_id
+      );
+    }
+    
+    if (process.env.OPTIN_CONFIRMED_URL) {
+      return res.redirect(303, process.env.OPTIN_CONFIRMED_URL);
     }
     
+    res.json({
+      success: true,
+      message: 'Your subscription is confirmed',
+      email: data.email
+    });
+    
   } catch (error) {
-    console.error('❌ Shopify lead error:', error.message);
+    logger.error('Opt-in confirmation error', { error: error });
+    res.status(500).json({ error: 'Could not confirm opt-in. Please try again.' });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// DESTINATIONS
+// ═══════════════════════════════════════════════════════════════
+
+// Built-in sinks for funnel events. Which ones run for a funnel is set in
+// config/destinations.json, next to any outbound webhooks defined there
+destinations.registerSink('shopify_customer', {
+  'lead.created': whenShopifyConfigured(syncShopifyLead),
+  'lead.confirmed': whenShopifyConfigured(syncConfirmedLead),
+  'purchase': createOrUpdateShopifyCustomer,
+  'upsell': createOrUpdateShopifyCustomer,
+  'refund': whenShopifyConfigured(revokeRefundedProductTags)
+});
+
+destinations.registerSink('shopify_order', {
+  'purchase': createShopifyOrder,
+  'upsell': createShopifyOrder,
+  'refund': whenShopifyConfigured(refundPaymentInShopify)
+});
+
+destinations.registerSink('confirmation_email', {
+  'purchase': sendEmailConfirmation,
+  'upsell': sendEmailConfirmation
+});
+
+// Shopify carries the profile and tags over to Klaviyo; the events themselves go direct
+destinations.registerSink('klaviyo', {
+  'lead.created': (data, eventId) => queueKlaviyoEvent('Opted In', leadProfile(data), {
+    form_name: data.form_name,
+    lead_magnet: data.lead_magnet,
+    optin_tag: data.optin_tag,
+    step_number: data.step_number,
+    funnel_id: data.funnel_id,
+    email_consent: data.email_consent,
+    sms_consent: data.sms_consent,
+    awaiting_confirmation: data.awaiting_confirmation
+  }, { uniqueId: eventId, time: data.optin_timestamp }),
+  'lead.confirmed': (data, eventId) => queueKlaviyoEvent('Confirmed Opt-In', leadProfile(data), {
+    form_name: data.form_name,
+    lead_magnet: data.lead_magnet,
+    optin_tag: data.optin_tag,
+    funnel_id: data.funnel_id
+  }, { uniqueId: eventId, time: data.confirmed_at }),
+  'purchase': trackPurchaseInKlaviyo,
+  'upsell': trackPurchaseInKlaviyo,
+  'refund': (data, eventId) => queueKlaviyoEvent('Refunded', { email: data.email }, {
+    payment_intent_id: data.payment_intent_id,
+    charge_id: data.charge_id,
+    product_id: data.product_id,
+    product_tag: data.product_tag,
+    refund_amount: data.refund_amount,
+    total_refunded: data.total_refunded,
+    currency: data.currency,
+    full_refund: data.full_refund
+  }, { value: data.refund_amount, valueCurrency: data.currency, uniqueId: eventId })
+});
+
+destinations.checkConfiguredSinks();
+
+function whenShopifyConfigured(handler) {
+  return async (data, eventId) => {
+    if (!shopify.isConfigured()) {
+      logger.warn('Shopify credentials not configured - skipping');
+      return null;
+    }
+    return handler(data, eventId);
+  };
+}
+
+// Leads and refunds go to every sink turned on for the funnel. A sink that fails
+// with a temporary error is retried on its own from the job queue, so the others
+// neither wait for it nor run twice. Purchases go through the event ledger instead
+async function dispatchEvent(eventType, data, eventId, funnelId) {
+  for (const sink of destinations.sinksFor(eventType, funnelId)) {
+    try {
+      await sink.handle(eventType, data, eventId);
+    } catch (error) {
+      if (error.retryable !== false) {
+        const job = jobQueue.enqueue('destination_event', { sink: sink.name, event_type: eventType, data: data, event_id: eventId });
+        logger.warn('Destination failed, retrying as a job', { sink: sink.name, event_type: eventType, job_id: job.id, error: error.message });
+      } else {
+        logger.error('Destination failed', { sink: sink.name, event_type: eventType, error: error.message });
+      }
+    }
+  }
+}
+
+jobQueue.registerHandler('destination_event', ({ sink: sinkName, event_type, data, event_id }) => {
+  const sink = destinations.getSink(sinkName);
+  if (!sink) {
+    throw Object.assign(new Error(`Sink ${sinkName} is no longer registered`), { retryable: false });
+  }
+  return sink.handle(event_type, data, event_id);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// KLAVIYO EVENTS
+// ═══════════════════════════════════════════════════════════════
+
+// Sent from the job queue so a Klaviyo outage never holds up an opt-in or a
+// webhook. Every event has a unique id, so a retried job can't count twice.
+// Returns the job id, or null when Klaviyo is switched off
+function queueKlaviyoEvent(metricName, profile, properties, options = {}) {
+  if (!klaviyo.isEnabled() || !profile.email) {
+    return null;
+  }
+  
+  const job = jobQueue.enqueue('klaviyo_event', {
+    metric: metricName,
+    profile: profile,
+    properties: properties,
+    options: options
+  });
+  return job.id;
+}
+
+async function sendKlaviyoEvent({ metric, profile, properties, options }) {
+  // The event creates the profile by email anyway - a separate upsert only earns
+  // its call when there's more to write
+  if (Object.keys(profile).some(key => key !== 'email' && profile[key])) {
+    await klaviyo.upsertProfile(profile);
+  }
+  await klaviyo.trackEvent(metric, profile, properties, options);
+  logger.info('Klaviyo event sent', { metric: metric, email: profile.email });
+}
+
+jobQueue.registerHandler('klaviyo_event', sendKlaviyoEvent);
+
+function leadProfile(data) {
+  return {
+    email: data.email,
+    phone: data.phone,
+    first_name: data.name.split(' ')[0],
+    last_name: data.name.split(' ').slice(1).join(' '),
+    properties: {
+      last_optin_form: data.form_name,
+      last_lead_magnet: data.lead_magnet
+    }
+  };
+}
+
+// "Placed Order" for main purchases and plan payments, "Purchased Upsell" for one-click offers
+function trackPurchaseInKlaviyo(data, eventId) {
+  return queueKlaviyoEvent(data.is_upsell ? 'Purchased Upsell' : 'Placed Order', {
+    email: data.email,
+    phone: data.phone,
+    first_name: data.name ? data.name.split(' ')[0] : undefined,
+    last_name: data.name ? data.name.split(' ').slice(1).join(' ') : undefined,
+    properties: { last_purchase_type: data.purchase_type }
+  }, {
+    payment_intent_id: data.payment_intent_id,
+    funnel_id: data.funnel_id,
+    funnel_step: data.funnel_step,
+    product_id: data.product_id,
+    product_name: data.product_name,
+    product_tag: data.product_tag,
+    purchase_type: data.purchase_type,
+    items: data.line_items.map(item => ({
+      product_id: item.product_id,
+      product_name: item.product_name,
+      amount: item.amount,
+      quantity: item.quantity
+    })),
+    currency: data.currency,
+    discount_code: data.discount_code,
+    discount_amount: data.discount_amount,
+    tax_amount: data.tax_amount,
+    is_returning_customer: data.is_returning_customer,
+    installment: data.installment || null,
+    installments: data.installments || null
+  }, { value: data.amount, valueCurrency: data.currency, uniqueId: eventId });
+}
+
+// Where emailed links should point - the public URL when we're behind a proxy or CDN
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+// Lead syncs by job type. Expiry is queued directly; the other two are here for
+// retries queued before lead events went through the destinations
+const leadSyncHandlers = {
+  shopify_lead: syncShopifyLead,
+  shopify_lead_confirmed: syncConfirmedLead,
+  shopify_lead_expired: syncExpiredLead
+};
+
+async function syncShopifyLead(data) {
+  logger.info('Processing Shopify lead', { email: data.email, optin_tag: data.optin_tag });
+  
+  const result = await shopify.upsertCustomer({ email: data.email }, (existing) => {
+    logger.info(existing ? 'Updating existing Shopify customer' : 'Creating new Shopify lead', { shopify_customer_id: existing?.legacyResourceId });
+    
+    // Consent waits for the confirmation link when double opt-in is on
+    const tags = [...(existing?.tags || []), 'lead', data.optin_tag];
+    if (data.awaiting_confirmation && !tags.includes('confirmed-lead')) {
+      tags.push('unconfirmed-lead');
+    }
+    
+    return {
+      tags: [...new Set(tags)],
+      phone: data.phone,
+      firstName: data.name.split(' ')[0],
+      lastName: data.name.split(' ').slice(1).join(' '),
+      note: existing ? updateOptinNote(existing.note, data) : buildOptinNote(data),
+      emailMarketingConsent: grantedConsent(data.email_consent && !data.awaiting_confirmation, data.optin_timestamp),
+      smsMarketingConsent: grantedConsent(data.sms_consent && !data.awaiting_confirmation, data.optin_timestamp)
+    };
+  });
+  
+  logger.info(result.created ? 'Created Shopify lead' : 'Updated Shopify lead', { tags: result.tags });
+  if (data.awaiting_confirmation) {
+    logger.info('Marketing consent waits for email confirmation');
+  } else {
+    logConsentSync(data.email_consent, data.sms_consent);
+  }
+  
+  return result.id;
+}
+
+// Confirmed double opt-in - consent is upgraded, the lead's details were synced at opt-in
+async function syncConfirmedLead(data) {
+  logger.info('Confirming Shopify lead', { email: data.email });
+  
+  const result = await shopify.upsertCustomer({ email: data.email }, (existing) => ({
+    tags: [...new Set([
+      ...(existing?.tags || []).filter(tag => tag !== 'unconfirmed-lead' && tag !== 'expired-lead'),
+      'lead', data.optin_tag, 'confirmed-lead'
+    ])],
+    // Only if the opt-in sync never made it to Shopify
+    ...(!existing && {
+      phone: data.phone,
+      firstName: data.name.split(' ')[0],
+      lastName: data.name.split(' ').slice(1).join(' '),
+      note: buildOptinNote(data)
+    }),
+    emailMarketingConsent: grantedConsent(data.email_consent, data.confirmed_at, 'CONFIRMED_OPT_IN'),
+    smsMarketingConsent: grantedConsent(data.sms_consent, data.confirmed_at, 'CONFIRMED_OPT_IN')
+  }));
+  
+  logger.info('Confirmed Shopify lead', { tags: result.tags });
+  logConsentSync(data.email_consent, data.sms_consent);
+  
+  return result.id;
+}
+
+// Never confirmed - only touches customers still waiting, so a lead who confirmed
+// through another form (or has since bought) is left alone
+async function syncExpiredLead(data) {
+  const customer = await shopify.findCustomerByEmail(data.email);
+  const tags = customer?.tags ? customer.tags.split(', ').map(tag => tag.trim()) : [];
+  
+  if (!tags.includes('unconfirmed-lead')) {
+    return null;
+  }
+  
+  return updateShopifyCustomerTags(
+    { email: data.email },
+    { add: ['expired-lead'], remove: ['unconfirmed-lead'] },
+    `Opt-in not confirmed: ${data.form_name} (${new Date().toLocaleDateString()})`
+  );
+}
+
+for (const [jobType, handler] of Object.entries(leadSyncHandlers)) {
+  jobQueue.registerHandler(jobType, handler);
+}
+
+// Unconfirmed opt-ins past their window lose their pending link and are marked in Shopify
+const OPTIN_EXPIRY_SWEEP_MS = 60 * 60 * 1000;
+
+function expireUnconfirmedOptins() {
+  for (const expired of optinConfirmations.expirePendingOptins()) {
+    logger.info('Opt-in confirmation expired', { email: expired.data.email });
+    if (shopify.isConfigured()) {
+      jobQueue.enqueue('shopify_lead_expired', expired.data);
+    }
+  }
+}
+
+// Web consent in Shopify's GraphQL shape, only if it was given. Nothing is
+// written otherwise, so an existing subscription is left as it is
+function grantedConsent(granted, consentedAt, optInLevel = 'SINGLE_OPT_IN') {
+  if (!granted) {
+    return undefined;
   }
+  return {
+    marketingState: 'SUBSCRIBED',
+    marketingOptInLevel: optInLevel,
+    consentUpdatedAt: consentedAt || new Date().toISOString()
+  };
+}
+
+function logConsentSync(emailConsent, smsConsent) {
+  logger.info('Marketing consent synced', { email_marketing: emailConsent ? 'subscribed' : 'unchanged', sms_marketing: smsConsent ? 'subscribed' : 'unchanged' });
 }
 
 // Build opt-in note
@@ -646,72 +1420,229 @@ Lead Activity:
   }
 }
 
-app.post('/process-upsell', rateLimit, async (req, res) => {
+app.post('/process-upsell', rateLimits.rateLimit('upsell'), upsellIdempotency, async (req, res) => {
+  let nextToken = null;
+  
   try {
-    const { customer_id, payment_method_id, amount, product_id } = req.body;
+    const { upsell_token, amount, product_id, promo_code } = req.body;
     
-    // Security validations
-    if (!customer_id || !customer_id.startsWith('cus_')) {
-      return res.status(400).json({ error: 'Invalid customer ID' });
+    // The token is the only proof of who to charge - customer and card come from the server-side session
+    const verification = upsellTokens.verifyUpsellToken(upsell_token);
+    if (verification.error) {
+      logger.warn('Upsell token rejected', { reason: verification.error });
+      return res.status(401).json({ error: verification.error });
     }
     
-    if (!payment_method_id || !payment_method_id.startsWith('pm_')) {
-      return res.status(400).json({ error: 'Invalid payment method' });
+    const session = verification.session;
+    
+    // Burn the presented token before any await so a double-click can't charge twice
+    nextToken = upsellTokens.rotateUpsellToken(session.id);
+    
+    // Offers must be taken in funnel order - only the session's current step can be bought
+    const funnel = funnels.getFunnel(session.funnel_id);
+    const offerStep = funnel && session.current_step ? funnels.getStep(funnel, session.current_step) : null;
+    if (!offerStep || offerStep.product !== product_id) {
+      return res.status(400).json({ error: 'Offer is not part of this funnel', upsell_token: nextToken });
+    }
+    
+    // Upsells are charged in the main purchase's currency - older sessions predate currencies
+    const currency = session.currency || funnels.getDefaultCurrency();
+    
+    if (offerStep.price && currency === funnels.getDefaultCurrency() && offerStep.price !== amount) {
+      return res.status(400).json({ error: 'Invalid amount', upsell_token: nextToken });
+    }
+    
+    if (session.purchased_products.includes(product_id)) {
+      return res.status(400).json({ error: 'Offer already purchased', upsell_token: nextToken });
     }
     
     if (!isValidAmount(amount)) {
-      return res.status(400).json({ error: 'Invalid amount' });
+      return res.status(400).json({ error: 'Invalid amount', upsell_token: nextToken });
     }
     
     // Dynamic product validation against Stripe
-    const productValidation = await validateProduct(product_id, amount);
+    const productValidation = await validateProduct(product_id, amount, currency);
     if (!productValidation.isValid) {
-      return res.status(400).json({ error: productValidation.error });
+      return res.status(400).json({ error: productValidation.error, upsell_token: nextToken });
     }
     
-    console.log(`✅ Upsell product validated: ${productValidation.product.name} - ${amount/100}`);
+    logger.info('Upsell product validated', { product_id: productValidation.product.id, amount: amount, currency: currency });
+    
+    // The token may have been issued while the main payment still needed 3D Secure
+    if (!session.main_payment_confirmed) {
+      const mainPayment = await stripe.paymentIntents.retrieve(session.main_payment_intent_id);
+      if (mainPayment.status !== 'succeeded') {
+        return res.status(400).json({ error: 'Main purchase has not completed', upsell_token: nextToken });
+      }
+      upsellTokens.updateUpsellSession(session.id, { main_payment_confirmed: true });
+    }
     
     // Verify customer exists
-    const customer = await stripe.customers.retrieve(customer_id);
-    if (!customer) {
-      return res.status(400).json({ error: 'Customer not found' });
+    const customer = await stripe.customers.retrieve(session.customer_id);
+    if (!customer || customer.deleted) {
+      return res.status(400).json({ error: 'Customer not found', upsell_token: nextToken });
     }
     
-    // Create and confirm payment intent for upsell
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amount,
-      currency: 'usd',
-      customer: customer_id,
-      payment_method: payment_method_id,
-      confirmation_method: 'manual',
-      confirm: true,
-      metadata: {
-        product_id: product_id,
-        customer_email: customer.email,
-        is_upsell: 'true',
-        customer_stripe_id: customer_id,
-        purchase_timestamp: Math.floor(Date.now() / 1000).toString()
+    const upsellMetadata = {
+      product_id: product_id,
+      customer_email: customer.email,
+      customer_name: customer.name || '',
+      is_upsell: 'true',
+      customer_stripe_id: session.customer_id,
+      funnel_id: session.funnel_id,
+      funnel_step: offerStep.id,
+      upsell_session_id: session.id,
+      product_tag: productValidation.funnelProduct?.shopify_tag || '',
+      purchase_type: productValidation.funnelProduct?.purchase_type || '',
+      purchase_timestamp: Math.floor(Date.now() / 1000).toString(),
+      request_id: req.requestId
+    };
+    
+    // Promo codes are checked and priced here - the client only ever sends list prices
+    let promo = null;
+    if (promo_code) {
+      promo = await promoCodes.applyPromoCode(promo_code, [{ product_id, amount, quantity: 1 }], { isExistingCustomer: true, currency });
+      if (promo.error) {
+        return res.status(400).json({ error: promo.error, upsell_token: nextToken });
       }
-    });
+      upsellMetadata.promo_code = promo.promotion.code;
+      upsellMetadata.coupon_id = promo.promotion.coupon.id;
+    }
+    
+    const chargeAmount = amount - (promo ? promo.discountAmount : 0);
+    
+    // Taxed at the main purchase's billing address - sessions from before tax was on have none
+    const taxAddress = session.billing_address?.country ? session.billing_address : null;
+    
+    let paymentIntent;
+    let taxResult = null;
+    let planDiscountAmount = null;
+    
+    if (productValidation.funnelProduct?.plan) {
+      // e.g. coaching as "3 payments of $109" - same saved card, still one click
+      const planStart = await startPlan({
+        customerId: session.customer_id,
+        paymentMethodId: session.payment_method_id,
+        plan: productValidation.funnelProduct.plan,
+        currency: currency,
+        promotion: promo?.promotion,
+        metadata: upsellMetadata,
+        taxAddress: taxAddress,
+        idempotencyKey: req.idempotencyKey
+      });
+      paymentIntent = planStart.paymentIntent;
+      planDiscountAmount = planStart.discountAmount;
+    } else {
+      if (chargeAmount < MIN_CHARGE_AMOUNT) {
+        return res.status(400).json({ error: 'Order total after discount is below the minimum charge', upsell_token: nextToken });
+      }
+      
+      if (taxAddress) {
+        taxResult = await calculateTax(currency, taxAddress, [{ product_id, amount, quantity: 1 }], promo ? promo.discountAmount : 0);
+        if (taxResult?.error) {
+          return res.status(400).json({ error: taxResult.error, upsell_token: nextToken });
+        }
+      }
+      
+      // Create and confirm payment intent for upsell
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: chargeAmount + (taxResult ? taxResult.amount : 0),
+        currency: currency,
+        customer: session.customer_id,
+        payment_method: session.payment_method_id,
+        confirmation_method: 'manual',
+        confirm: true,
+        metadata: {
+          ...upsellMetadata,
+          discount_amount: promo ? promo.discountAmount.toString() : '',
+          ...(taxResult && taxMetadata(taxResult, taxAddress))
+        }
+      }, req.idempotencyKey ? { idempotencyKey: req.idempotencyKey } : undefined);
+    }
+    
+    // Plans report Stripe's discount on the first installment
+    const promoResponse = promo ? { promo_code: promo.promotion.code, discount_amount: planDiscountAmount ?? promo.discountAmount } : {};
+    const taxResponse = taxResult ? { tax_amount: taxResult.amount, tax_lines: taxResult.lines } : {};
+    
+    if (paymentIntent.status === 'succeeded' || paymentIntent.status === 'requires_action') {
+      upsellTokens.updateUpsellSession(session.id, {
+        purchased_products: [...session.purchased_products, product_id],
+        current_step: offerStep.next || null
+      });
+      
+      // Stripe has already counted a plan's redemption
+      if (promo && !productValidation.funnelProduct?.plan) {
+        promoCodes.recordPromoRedemption(promo.redemptionKey);
+      }
+    }
     
     if (paymentIntent.status === 'succeeded') {
-      res.json({ success: true });
+      res.json({
+        success: true,
+        upsell_token: nextToken,
+        ...funnels.describeOffer(funnel, offerStep.next, currency),
+        ...promoResponse,
+        ...taxResponse
+      });
     } else if (paymentIntent.status === 'requires_action') {
       res.json({
         requires_action: true,
-        client_secret: paymentIntent.client_secret
+        client_secret: paymentIntent.client_secret,
+        upsell_token: nextToken,
+        ...funnels.describeOffer(funnel, offerStep.next, currency),
+        ...promoResponse,
+        ...taxResponse
       });
     } else {
-      res.status(400).json({ error: 'Upsell payment failed' });
+      res.status(400).json({ error: 'Upsell payment failed', upsell_token: nextToken });
     }
     
   } catch (error) {
-    console.error('Upsell processing error:', error);
+    logger.error('Upsell processing error', { error: error });
     
     const safeError = error.type === 'StripeCardError' ? 
       error.message : 'Upsell processing failed';
     
-    res.status(400).json({ error: safeError });
+    res.status(400).json({ error: safeError, upsell_token: nextToken });
+  }
+});
+
+// Buyer said "no thanks" - record it and route them to the downsell or thank-you page
+app.post('/decline-upsell', rateLimits.rateLimit('decline'), declineIdempotency, (req, res) => {
+  try {
+    const { upsell_token, step_id } = req.body;
+    
+    const verification = upsellTokens.verifyUpsellToken(upsell_token);
+    if (verification.error) {
+      logger.warn('Upsell token rejected', { reason: verification.error });
+      return res.status(401).json({ error: verification.error });
+    }
+    
+    const session = verification.session;
+    const nextToken = upsellTokens.rotateUpsellToken(session.id);
+    
+    const funnel = funnels.getFunnel(session.funnel_id);
+    const declinedStep = funnel && session.current_step ? funnels.getStep(funnel, session.current_step) : null;
+    if (!declinedStep || (step_id && step_id !== declinedStep.id)) {
+      return res.status(400).json({ error: 'Offer is not part of this funnel', upsell_token: nextToken });
+    }
+    
+    upsellTokens.recordDecline(session, declinedStep.id, declinedStep.product);
+    upsellTokens.updateUpsellSession(session.id, { current_step: declinedStep.on_decline || null });
+    
+    logger.info('Upsell declined', { step: declinedStep.id, funnel_id: session.funnel_id, customer_id: session.customer_id });
+    
+    // The returned token buys the downsell through /process-upsell - same saved card, still one click
+    res.json({
+      success: true,
+      declined_step: declinedStep.id,
+      upsell_token: nextToken,
+      ...funnels.describeOffer(funnel, declinedStep.on_decline, session.currency || funnels.getDefaultCurrency())
+    });
+    
+  } catch (error) {
+    logger.error('Upsell decline error', { error: error });
+    res.status(400).json({ error: 'Failed to process decline' });
   }
 });
 
@@ -719,58 +1650,101 @@ app.post('/process-upsell', rateLimit, async (req, res) => {
 // POST-PURCHASE PROCESSING
 // ═══════════════════════════════════════════════════════════════
 
+// Hand a verified webhook event to the durable job queue. The job logs under the
+// request_id of the checkout that created the payment, when it has one, so one id
+// follows a purchase from checkout through the webhook to Shopify and email
+function queueStripeEvent(event) {
+  const webhookRequestId = logger.currentContext().request_id;
+  const checkoutRequestId = event.data.object.metadata?.request_id;
+  const correlation = checkoutRequestId
+    ? { request_id: checkoutRequestId, webhook_request_id: webhookRequestId, event_id: event.id }
+    : { event_id: event.id };
+  
+  const job = logger.withContext(correlation, () => jobQueue.enqueue('stripe_event', {
+    event_id: event.id,
+    type: event.type,
+    object: event.data.object
+  }));
+  eventLedger.queueEvent(event.id, job.id);
+}
+
+// Failed post-purchase steps fail the job - straight to the dead-letter list when
+// none of them can succeed on a retry (e.g. Shopify rejected the order data)
+function throwIfStepsFailed({ failed, permanent = [] }) {
+  if (failed.length > 0) {
+    const error = new Error(`Post-purchase steps failed: ${failed.join(', ')}`);
+    error.retryable = !failed.every(name => permanent.includes(name));
+    throw error;
+  }
+}
+
+// Runs inside the job queue - throwing schedules a retry with backoff,
+// and the ledger makes sure steps that already succeeded aren't repeated
+async function processStripeEvent({ event_id, type, object }, job) {
+  eventLedger.queueEvent(event_id, job.id);
+  
+  try {
+    if (type === 'payment_intent.succeeded' || type === 'invoice.paid') {
+      const result = type === 'invoice.paid'
+        ? await handleInvoicePaid(object, event_id)
+        : await sendConfirmationEmail(object, event_id);
+      throwIfStepsFailed(result);
+    } else {
+      await lifecycleHandlers[type](object);
+    }
+  } catch (error) {
+    eventLedger.queueEvent(event_id, job.id, error);
+    throw error;
+  }
+  
+  eventLedger.completeEvent(event_id);
+}
+
+jobQueue.registerHandler('stripe_event', processStripeEvent, {
+  onDeadLetter: (payload, job, error) => eventLedger.failEvent(payload.event_id, error)
+});
+
 // Email confirmation function - SIMPLIFIED to just Shopify
-async function sendConfirmationEmail(paymentIntent) {
-  const { customer_email, is_upsell, product_id, customer_stripe_id, purchase_timestamp, product_tag } = paymentIntent.metadata;
-  const amount = paymentIntent.amount / 100;
+async function sendConfirmationEmail(paymentIntent, eventId, planDetails = null) {
+  const { customer_email, customer_name, is_upsell, product_id, customer_stripe_id, purchase_timestamp, product_tag, purchase_type, promo_code, discount_amount,
+    customer_phone, email_consent, sms_consent, consent_at, tax_amount, tax_calculation } = paymentIntent.metadata;
+  const currency = (paymentIntent.currency || funnels.getDefaultCurrency()).toUpperCase();
+  const amount = toMajorUnits(paymentIntent.amount, currency);
   
-  console.log(`📨 Processing purchase for: ${customer_email}`);
-  console.log(`💰 Payment amount: ${amount}`);
-  console.log(`📋 Product: ${is_upsell === 'true' ? 'Upsell Purchase' : 'Main Course Purchase'}`);
-  console.log(`🏷️ Product tag: ${product_tag || 'main-course'}`);
+  // Tag and purchase type were stamped on the payment from the funnel config at
+  // charge time; older payments fall back to the current config, then generic defaults
+  const funnelProduct = funnels.getProduct(product_id);
+  const productTag = product_tag || funnelProduct?.shopify_tag || 'main-course';
+  const purchaseType = purchase_type || funnelProduct?.purchase_type ||
+    (is_upsell === 'true' ? 'generic_upsell' : 'main_course');
   
-  // Determine purchase type dynamically based on product name and metadata
-  let purchaseType = 'main_course';
-  let productName = 'Unknown Product';
+  logger.info('Processing purchase', { email: customer_email, amount: amount, currency: currency, is_upsell: is_upsell === 'true', product_tag: productTag });
   
-  if (is_upsell === 'true') {
-    // Try to get product name from Stripe
-    try {
-      const product = await stripe.products.retrieve(product_id);
-      productName = product.name;
-      
-      // Use the specific product tag if provided, otherwise fallback to name analysis
-      if (product_tag) {
-        purchaseType = product_tag.replace('-', '_'); // Convert coaching-buyer to coaching_buyer
-      } else {
-        // Fallback to name analysis for legacy support
-        const nameUpper = product.name.toUpperCase();
-        if (nameUpper.includes('COACHING') || nameUpper.includes('COACH')) {
-          purchaseType = 'coaching_upsell';
-        } else if (nameUpper.includes('SOFTWARE') || nameUpper.includes('SOFT')) {
-          purchaseType = 'software_upsell';
-        } else if (nameUpper.includes('PREMIUM') || nameUpper.includes('ADVANCED')) {
-          purchaseType = 'premium_upsell';
-        } else {
-          purchaseType = 'generic_upsell';
-        }
-      }
-    } catch (error) {
-      console.error('Could not retrieve product details:', error.message);
-      purchaseType = product_tag ? product_tag.replace('-', '_') : 'generic_upsell';
-      productName = 'Upsell Product';
-    }
-  } else {
-    // Main course - try to get actual product name
+  let productName = funnelProduct?.name;
+  
+  if (!productName) {
+    // Not in the funnel config - try to get actual product name
     try {
-      const product = await stripe.products.retrieve(product_id);
+      const product = await catalog.getProduct(product_id);
       productName = product.name;
     } catch (error) {
-      console.error('Could not retrieve main product details:', error.message);
-      productName = 'Main Product';
+      logger.warn('Could not retrieve product details', { product_id: product_id, error: error.message });
+      productName = is_upsell === 'true' ? 'Upsell Product' : 'Main Product';
     }
   }
   
+  // One entry per product charged - the main product plus any order bumps
+  const lineItems = parseLineItems(paymentIntent).map((item, index) => {
+    const itemProduct = index === 0 ? null : funnels.getProduct(item.product_id);
+    return {
+      product_id: item.product_id,
+      product_name: index === 0 ? productName : itemProduct?.name || 'Order Bump',
+      product_tag: index === 0 ? productTag : itemProduct?.shopify_tag || null,
+      amount: toMajorUnits(item.amount, currency),
+      quantity: item.quantity
+    };
+  });
+  
   // Check if this is a returning customer (only for main purchases)
   let isReturning = false;
   if (is_upsell !== 'true' && customer_stripe_id) {
@@ -780,351 +1754,1343 @@ async function sendConfirmationEmail(paymentIntent) {
     );
   }
   
+  // The billing address is too long for payment metadata - it's read back from the
+  // Stripe customer, which checkout saved it on
+  const stripeCustomer = await getStripeCustomer(customer_stripe_id || paymentIntent.customer);
+  
   const purchaseData = {
     email: customer_email,
+    name: customer_name || null,
+    billing_address: stripeCustomer?.address || null,
+    is_upsell: is_upsell === 'true',
+    funnel_id: paymentIntent.metadata.funnel_id || null,
+    funnel_step: paymentIntent.metadata.funnel_step || null,
     amount: amount,
+    currency: currency,
     product_id: product_id,
-    product_name: productName,
+    product_name: lineItems.map(item => item.product_name).join(' + '),
     purchase_type: purchaseType,
     payment_intent_id: paymentIntent.id,
     is_returning_customer: isReturning,
-    customer_stripe_id: customer_stripe_id,
-    product_tag: product_tag || 'main-course' // Pass the specific tag
+    customer_stripe_id: customer_stripe_id || paymentIntent.customer || null,
+    shopify_customer_id: stripeCustomer?.metadata?.shopify_customer_id || null,
+    product_tag: productTag, // Pass the specific tag
+    line_items: lineItems,
+    discount_code: promo_code || null,
+    discount_amount: toMajorUnits(parseInt(discount_amount) || 0, currency),
+    tax_amount: toMajorUnits(parseInt(tax_amount) || 0, currency),
+    tax_lines: parseTaxLines(paymentIntent).map(line => ({ ...line, amount: toMajorUnits(line.amount, currency) })),
+    phone: customer_phone || null,
+    email_consent: email_consent === 'true',
+    sms_consent: sms_consent === 'true',
+    consent_at: consent_at || null,
+    ...planDetails
   };
   
-  // SIMPLIFIED - Only send to Shopify (will auto-sync to Klaviyo)
-  await Promise.allSettled([
-    createOrUpdateShopifyCustomer(purchaseData),
-    createShopifyOrder(purchaseData),
-    sendEmailConfirmation(purchaseData)
+  if (planDetails?.installment) {
+    purchaseData.product_name += planDetails.installments
+      ? ` (installment ${planDetails.installment} of ${planDetails.installments})`
+      : ` (payment ${planDetails.installment})`;
+  }
+  
+  // One ledger step per destination, so a redelivery only re-runs the ones that
+  // failed. Sinks see the payment intent id, which stays the same across redeliveries
+  const eventType = purchaseData.is_upsell ? 'upsell' : 'purchase';
+  const steps = {};
+  
+  // Tax collected through Stripe Tax is reported to it once the charge has gone through
+  if (tax_calculation) {
+    steps.stripe_tax = () => tax.recordTransaction(tax_calculation, paymentIntent.id);
+  }
+  for (const sink of destinations.sinksFor(eventType, purchaseData.funnel_id)) {
+    steps[sink.name] = () => sink.handle(eventType, purchaseData, paymentIntent.id);
+  }
+  
+  return eventLedger.runPaymentSteps(paymentIntent.id, eventId, steps);
+}
+
+// Stripe and Shopify customers are linked both ways the first time we sync them -
+// shopify_customer_id on the Stripe customer's metadata, the Stripe id on a Shopify
+// metafield - so later syncs go straight to the customer instead of searching by email
+const STRIPE_CUSTOMER_METAFIELD = { namespace: 'blacksheep', key: 'stripe_customer_id', type: 'single_line_text_field' };
+
+async function getStripeCustomer(stripeCustomerId) {
+  if (!stripeCustomerId) {
+    return null;
+  }
+  
+  try {
+    const customer = await stripe.customers.retrieve(stripeCustomerId);
+    return customer.deleted ? null : customer;
+  } catch (error) {
+    logger.warn('Could not read Stripe customer', { customer_id: stripeCustomerId, error: error.message });
+    return null;
+  }
+}
+
+async function getLinkedShopifyCustomerId(stripeCustomerId) {
+  const customer = await getStripeCustomer(stripeCustomerId);
+  return customer?.metadata?.shopify_customer_id || null;
+}
+
+// Stripe's side is written last - it's what marks the pair as linked
+async function linkCustomers(stripeCustomerId, shopifyCustomer) {
+  await shopify.setMetafields(shopifyCustomer.gid || shopify.customerGid(shopifyCustomer.id), [
+    { ...STRIPE_CUSTOMER_METAFIELD, value: stripeCustomerId }
   ]);
+  await stripe.customers.update(stripeCustomerId, {
+    metadata: { shopify_customer_id: String(shopifyCustomer.id) }
+  });
+  logger.info('Linked Stripe and Shopify customers', { customer_id: stripeCustomerId, shopify_customer_id: shopifyCustomer.id });
+}
+
+// REST customer record by linked id, falling back to an email search if the
+// link is missing or the Shopify customer has since been deleted
+async function findLinkedShopifyCustomer(shopifyCustomerId, email) {
+  if (shopifyCustomerId) {
+    try {
+      const { customer } = await shopify.rest('GET', `customers/${shopifyCustomerId}.json`);
+      return customer;
+    } catch (error) {
+      if (!(error instanceof shopify.ShopifyNotFoundError)) {
+        throw error;
+      }
+      logger.warn('Linked Shopify customer no longer exists - searching by email', { shopify_customer_id: shopifyCustomerId });
+    }
+  }
+  
+  return email ? shopify.findCustomerByEmail(email) : null;
+}
+
+async function findShopifyCustomerFor({ email, stripeCustomerId }) {
+  return findLinkedShopifyCustomer(await getLinkedShopifyCustomerId(stripeCustomerId), email);
+}
+
+// Who a payment belongs to, for the lookups above
+function customerRefForPayment(paymentIntent) {
+  return {
+    email: paymentIntent.metadata.customer_email,
+    stripeCustomerId: paymentIntent.customer || paymentIntent.metadata.customer_stripe_id || null
+  };
+}
+
+// Enhanced Shopify integration with specific product tags
+// Name from checkout, and the billing address unless the customer already has one
+// on file - Shopify adds every address it's given to the customer's address book
+function customerBillingFields(data, existing) {
+  const fields = {};
+  
+  if (data.name) {
+    fields.firstName = data.name.split(' ')[0];
+    fields.lastName = data.name.split(' ').slice(1).join(' ');
+  }
+  
+  // A postal code on its own (all the card form collects) isn't worth an address
+  if (data.billing_address?.country && !existing?.defaultAddress) {
+    fields.addresses = [{
+      firstName: fields.firstName,
+      lastName: fields.lastName,
+      address1: data.billing_address.line1 || undefined,
+      address2: data.billing_address.line2 || undefined,
+      city: data.billing_address.city || undefined,
+      provinceCode: data.billing_address.state || undefined,
+      zip: data.billing_address.postal_code || undefined,
+      countryCode: data.billing_address.country
+    }];
+  }
+  
+  return fields;
 }
 
-// Enhanced Shopify integration with specific product tags
-async function createOrUpdateShopifyCustomer(data) {
-  const SHOPIFY_STORE_URL = process.env.SHOPIFY_STORE_URL;
-  const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+async function createOrUpdateShopifyCustomer(data) {
+  if (!shopify.isConfigured()) {
+    logger.warn('Shopify credentials not configured - skipping customer');
+    return;
+  }
+  
+  logger.info('Processing Shopify customer', { email: data.email, product_tag: data.product_tag, is_returning_customer: data.is_returning_customer });
+  
+  try {
+    // Use specific product tag instead of progressive tagging
+    const baseTag = 'customer';
+    const productSpecificTag = data.product_tag || 'unknown-product';
+    const orderBumpTags = (data.line_items || []).slice(1).map(item => item.product_tag).filter(Boolean);
+    const newTags = [...new Set([baseTag, productSpecificTag, ...orderBumpTags, ...(data.extra_tags || [])])];
+    
+    logger.debug('Tags to apply', { tags: newTags });
+    
+    const result = await shopify.upsertCustomer({ id: data.shopify_customer_id, email: data.email }, (existing) => {
+      if (!existing) {
+        // NEW CUSTOMER - Create with specific tags
+        logger.info('Creating new Shopify customer');
+        return {
+          tags: [...newTags, 'first-time-customer'],
+          note: buildCustomerNote(data),
+          phone: data.phone || undefined,
+          ...customerBillingFields(data, null),
+          emailMarketingConsent: grantedConsent(data.email_consent, data.consent_at),
+          smsMarketingConsent: grantedConsent(data.sms_consent, data.consent_at)
+        };
+      }
+      
+      // EXISTING CUSTOMER - Add new product tag
+      logger.info('Updating existing Shopify customer', { shopify_customer_id: existing.legacyResourceId });
+      
+      const existingTags = existing.tags.filter(tag => !(data.remove_tags || []).includes(tag));
+      
+      // Add new product-specific tag (avoid duplicates)
+      const allTags = [...new Set([...existingTags, ...newTags])];
+      
+      // Add returning customer tag only if truly returning (time-based)
+      if (data.is_returning_customer && !allTags.includes('returning-customer')) {
+        allTags.push('returning-customer');
+        logger.info('Added returning-customer tag');
+      }
+      
+      return {
+        tags: allTags,
+        note: updateCustomerNote(existing.note, data),
+        phone: existing.phone ? undefined : data.phone || undefined,
+        ...customerBillingFields(data, existing),
+        emailMarketingConsent: grantedConsent(data.email_consent, data.consent_at),
+        smsMarketingConsent: grantedConsent(data.sms_consent, data.consent_at)
+      };
+    });
+    
+    logger.info(result.created ? 'Created Shopify customer' : 'Updated Shopify customer', { tags: result.tags });
+    logConsentSync(data.email_consent, data.sms_consent);
+    
+    // A failed link is retried on the next sync - the customer itself is done,
+    // and re-running it would add the purchase to the note twice
+    if (data.customer_stripe_id && String(result.id) !== String(data.shopify_customer_id)) {
+      try {
+        await linkCustomers(data.customer_stripe_id, result);
+      } catch (error) {
+        logger.error('Could not link Stripe and Shopify customers', { error: error.message });
+      }
+    }
+    
+    return result.id;
+    
+  } catch (error) {
+    logger.error('Shopify customer error', { error: error.message });
+    // Rethrow so the event ledger records this step as failed
+    throw error;
+  }
+}
+
+// Create Shopify order for revenue tracking
+async function createShopifyOrder(data) {
+  if (!shopify.isConfigured()) {
+    logger.warn('Shopify credentials not configured - skipping order');
+    return;
+  }
+  
+  logger.info('Creating Shopify order', { email: data.email, amount: data.amount, currency: data.currency || 'USD' });
+  
+  try {
+    // Get Shopify customer ID - linked from Stripe, else searched by email
+    const shopifyCustomer = await findLinkedShopifyCustomer(data.shopify_customer_id, data.email);
+    const shopifyCustomerId = shopifyCustomer ? shopifyCustomer.id : null;
+    
+    // One Shopify line item per product - /test-shopify and older payments send a single product
+    const items = data.line_items || [
+      { product_id: data.product_id, product_name: data.product_name, amount: data.amount, quantity: 1 }
+    ];
+    const lineItems = [];
+    const taxLines = data.tax_lines || [];
+    const taxAmount = data.tax_amount || 0;
+    
+    for (const item of items) {
+      // Get product details dynamically from Stripe
+      let product;
+      try {
+        const stripeProduct = await catalog.getProduct(item.product_id);
+        product = {
+          title: stripeProduct.name,
+          price: item.amount.toFixed(2),  // item.amount is already in dollars
+          sku: stripeProduct.metadata?.sku || `BSBP-${item.product_id.slice(-6)}`,
+          vendor: stripeProduct.metadata?.vendor || 'Black Sheep Business'
+        };
+      } catch (error) {
+        logger.warn('Could not retrieve product details for order', { error: error.message });
+        // Fallback to basic product info
+        product = {
+          title: item.product_name || 'Product',
+          price: item.amount.toFixed(2),  // item.amount is already in dollars
+          sku: `BSBP-${item.product_id.slice(-6)}`,
+          vendor: 'Black Sheep Business'
+        };
+      }
+      
+      lineItems.push({
+        title: product.title,
+        price: product.price,
+        quantity: item.quantity,
+        sku: product.sku,
+        vendor: product.vendor,
+        requires_shipping: false,
+        taxable: taxLines.length > 0,
+        gift_card: false,
+        fulfillment_service: 'manual'
+      });
+    }
+    
+    // Create order payload (simplified to avoid API restrictions)
+    const orderData = {
+      order: {
+        email: data.email,
+        financial_status: 'paid',
+        fulfillment_status: null,
+        send_receipt: false,
+        send_fulfillment_receipt: false,
+        note: `Order created from Stripe payment: ${data.payment_intent_id}\nPurchase Type: ${data.purchase_type}\nProduct ID: ${items.map(item => item.product_id).join(', ')}${data.installment ? `\nPlan Payment: ${data.installment}${data.installments ? ` of ${data.installments}` : ''}` : ''}`,
+        tags: `stripe-payment,${data.purchase_type.replace('_', '-')},external-payment`,
+        line_items: lineItems,
+        transactions: [
+          {
+            kind: 'sale',
+            status: 'success',
+            amount: (data.amount * 100).toString(),  // Convert dollars to cents for Shopify
+            currency: data.currency || 'USD',
+            gateway: 'manual'
+          }
+        ],
+        total_price: data.amount.toFixed(2),  // Keep as dollars for total_price
+        subtotal_price: (data.amount - taxAmount).toFixed(2),  // What was charged before tax
+        total_tax: taxAmount.toFixed(2),
+        taxes_included: false,
+        // Tax went on top of the charge - recorded on the order, not worked out again by Shopify
+        tax_lines: taxLines.map(line => ({
+          title: line.title,
+          rate: line.rate / 100,
+          price: line.amount.toFixed(2)
+        })),
+        currency: data.currency || 'USD'
+      }
+    };
+    
+    // Promo code used at checkout - line items stay at list price, the total is what was paid
+    if (data.discount_code && data.discount_amount > 0) {
+      orderData.order.discount_codes = [
+        {
+          code: data.discount_code,
+          amount: data.discount_amount.toFixed(2),
+          type: 'fixed_amount'
+        }
+      ];
+      orderData.order.total_discounts = data.discount_amount.toFixed(2);
+    }
+    
+    // Add customer ID if found
+    if (shopifyCustomerId) {
+      orderData.order.customer = {
+        id: shopifyCustomerId
+      };
+    }
+    
+    // Billing details from checkout - payments without a billing country get a placeholder
+    if (data.billing_address?.country) {
+      orderData.order.billing_address = {
+        first_name: data.name ? data.name.split(' ')[0] : '',
+        last_name: data.name ? data.name.split(' ').slice(1).join(' ') : '',
+        address1: data.billing_address.line1 || '',
+        address2: data.billing_address.line2 || '',
+        city: data.billing_address.city || '',
+        province_code: data.billing_address.state || '',
+        country_code: data.billing_address.country,
+        zip: data.billing_address.postal_code || ''
+      };
+    } else {
+      orderData.order.billing_address = {
+        first_name: 'Customer',
+        last_name: '',
+        address1: 'Online Purchase',
+        city: 'Online',
+        province: '',
+        country: 'US',
+        zip: '00000',
+        email: data.email
+      };
+    }
+    
+    // Create the order
+    const newOrder = await shopify.rest('POST', 'orders.json', orderData);
+    logger.info('Created Shopify order', { shopify_order_id: newOrder.order.id, order_number: newOrder.order.order_number, total_price: newOrder.order.total_price });
+    
+    return newOrder.order.id;
+    
+  } catch (error) {
+    logger.error('Shopify order creation error', { error: error.message, details: error instanceof shopify.ShopifyValidationError ? error.errors : undefined });
+    // Rethrow so the event ledger records this step as failed (other steps still run)
+    throw error;
+  }
+}
+
+// Build initial customer note
+function buildCustomerNote(data) {
+  const timestamp = new Date().toLocaleDateString();
+  return `Purchase History:
+- ${data.product_name}: ${formatMoney(data.amount, data.currency || 'USD')} (${timestamp})
+
+Purchase Details:
+- Type: ${data.purchase_type}
+- Payment ID: ${data.payment_intent_id}
+- Product ID: ${data.product_id}
+- Returning Customer: ${data.is_returning_customer ? 'Yes' : 'No'}`;
+}
+
+// Update existing customer note
+function updateCustomerNote(existingNote, data) {
+  const timestamp = new Date().toLocaleDateString();
+  const newPurchase = `- ${data.product_name}: ${formatMoney(data.amount, data.currency || 'USD')} (${timestamp})`;
+  
+  if (!existingNote) {
+    return buildCustomerNote(data);
+  }
+  
+  if (existingNote.includes('Purchase History:')) {
+    const lines = existingNote.split('\n');
+    const purchaseIndex = lines.findIndex(line => line.includes('Purchase History:'));
+    
+    if (purchaseIndex !== -1) {
+      lines.splice(purchaseIndex + 1, 0, newPurchase);
+      return lines.join('\n');
+    }
+  }
+  
+  return existingNote + '\n\nPurchase History:\n' + newPurchase;
+}
+
+// Rendered now and sent from the job queue, so SMTP hiccups are retried and every
+// attempt shows up in the delivery log. Returns the delivery id, or null without SMTP
+function queueEmail(templateName, to, vars, reference) {
+  const message = emailTemplates.render(templateName, vars);
+  
+  if (!mailer.isConfigured()) {
+    logger.info('SMTP not configured - email not sent', { template: templateName, to: to, subject: message.subject });
+    return null;
+  }
+  
+  const delivery = mailer.createDelivery({
+    template: templateName,
+    to: to,
+    subject: message.subject,
+    reference: reference
+  });
+  jobQueue.enqueue('email_delivery', { delivery_id: delivery.id, to: to, ...message });
+  
+  logger.info('Email queued', { template: templateName, to: to, delivery_id: delivery.id });
+  return delivery.id;
+}
+
+async function deliverEmail({ delivery_id, ...message }) {
+  const delivery = await mailer.sendDelivery(delivery_id, message);
+  logger.info('Email sent', { template: delivery.template, to: delivery.to, delivery_id: delivery_id, message_id: delivery.message_id });
+}
+
+jobQueue.registerHandler('email_delivery', deliverEmail, {
+  onDeadLetter: (payload, job, error) => mailer.markFailed(payload.delivery_id, error)
+});
+
+// Receipt with access details - templates/email/<purchase_type> if there is one,
+// the generic purchase template otherwise
+async function sendEmailConfirmation(data) {
+  const currency = data.currency || 'USD';
+  const access = funnels.getProduct(data.product_id)?.access || {};
+  const templateName = emailTemplates.hasTemplate(data.purchase_type) ? data.purchase_type : 'purchase';
+  const lineItems = data.line_items || [{ product_name: data.product_name, amount: data.amount, quantity: 1 }];
+  
+  const describeItem = (item) => `${item.product_name}: ${formatMoney(item.amount, currency)}${item.quantity > 1 ? ` x ${item.quantity}` : ''}`;
+  const describeTax = (line) => `${line.title} (${line.rate}%): ${formatMoney(line.amount, currency)}`;
+  const taxLines = data.tax_lines || [];
+  
+  logger.info('Sending confirmation email', { template: templateName, email: data.email });
+  
+  return queueEmail(templateName, data.email, {
+    email: data.email,
+    product_name: data.product_name,
+    amount: formatMoney(data.amount, currency),
+    items_text: lineItems.map(item => `- ${describeItem(item)}`).join('\n'),
+    items_html: lineItems.map(item => `<li>${emailTemplates.escapeHtml(describeItem(item))}</li>`).join('\n'),
+    discount: data.discount_amount > 0 ? formatMoney(data.discount_amount, currency) : null,
+    discount_code: data.discount_code,
+    tax_text: taxLines.length > 0 ? taxLines.map(describeTax).join('\n') : null,
+    tax_html: taxLines.length > 0 ? taxLines.map(line => `<p>${emailTemplates.escapeHtml(describeTax(line))}</p>`).join('\n') : null,
+    login_url: access.login_url,
+    access_instructions: access.instructions,
+    support_email: process.env.EMAIL_REPLY_TO
+  }, data.payment_intent_id);
+}
+
+// Double opt-in confirmation link
+async function sendOptinConfirmationEmail(data, confirmUrl) {
+  return queueEmail('optin_confirmation', data.email, {
+    first_name: data.name.split(' ')[0],
+    lead_magnet: data.lead_magnet,
+    confirm_url: confirmUrl,
+    expires_in_hours: optinConfirmations.CONFIRM_WINDOW_HOURS
+  }, data.form_name);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REFUND, CANCELLATION AND DISPUTE LIFECYCLE
+// ═══════════════════════════════════════════════════════════════
+
+// Webhook event types handled after the initial purchase
+const lifecycleHandlers = {
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeCreated,
+  'charge.dispute.closed': handleDisputeClosed,
+  'payment_intent.canceled': handlePaymentCanceled,
+  'invoice.payment_failed': handleInvoicePaymentFailed
+};
+
+// Product tag swapped in when a purchase is reversed (coaching-buyer -> coaching-refunded)
+function reversedProductTag(productTag, suffix) {
+  const tag = productTag || 'main-course';
+  return tag.endsWith('-buyer') ? tag.replace(/-buyer$/, `-${suffix}`) : `${tag}-${suffix}`;
+}
+
+// Shopify product tags a payment applied - the main product's plus any order bumps'
+function productTagsForPayment(paymentIntent) {
+  const mainTag = paymentIntent.metadata.product_tag ||
+    funnels.getProduct(paymentIntent.metadata.product_id)?.shopify_tag || 'main-course';
+  const bumpTags = parseLineItems(paymentIntent).slice(1)
+    .map(item => funnels.getProduct(item.product_id)?.shopify_tag)
+    .filter(Boolean);
+  return [...new Set([mainTag, ...bumpTags])];
+}
+
+// Shopify order created for this payment - from the ledger, else the customer's order notes
+async function findShopifyOrderId(paymentIntentId, customerRef) {
+  const recordedOrderId = eventLedger.getStepResult(paymentIntentId, 'shopify_order');
+  if (recordedOrderId) {
+    return recordedOrderId;
+  }
+  
+  const customer = await findShopifyCustomerFor(customerRef);
+  if (!customer) {
+    return null;
+  }
+  
+  const { orders } = await shopify.rest('GET', `customers/${customer.id}/orders.json?status=any&fields=id,note`);
+  const order = (orders || []).find(o => o.note && o.note.includes(paymentIntentId));
+  return order ? order.id : null;
+}
+
+// Add/remove customer tags and append a line to the customer note
+async function updateShopifyCustomerTags(customerRef, { add = [], remove = [] }, noteLine) {
+  const customer = await findShopifyCustomerFor(customerRef);
+  if (!customer) {
+    logger.warn('No Shopify customer found', { email: customerRef.email });
+    return null;
+  }
+  
+  const existingTags = customer.tags ? customer.tags.split(', ').map(tag => tag.trim()) : [];
+  const allTags = [...new Set([...existingTags.filter(tag => !remove.includes(tag)), ...add])];
+  
+  await shopify.rest('PUT', `customers/${customer.id}.json`, {
+    customer: {
+      id: customer.id,
+      tags: allTags.join(', '),
+      note: noteLine ? `${customer.note ? customer.note + '\n' : ''}${noteLine}` : customer.note
+    }
+  });
+  
+  logger.info('Updated Shopify customer tags', { shopify_customer_id: customer.id, tags: allTags });
+  return customer.id;
+}
+
+async function addShopifyOrderTags(orderId, tags) {
+  const { order } = await shopify.rest('GET', `orders/${orderId}.json?fields=id,tags`);
+  const existingTags = order.tags ? order.tags.split(', ').map(tag => tag.trim()) : [];
+  const allTags = [...new Set([...existingTags, ...tags])];
+  
+  await shopify.rest('PUT', `orders/${orderId}.json`, {
+    order: { id: orderId, tags: allTags.join(', ') }
+  });
+}
+
+// Record a refund against the order's original manual transaction, cancelling it when fully refunded.
+// The refund key goes in the refund's note, so a retry after a later step failed
+// finds the refund already there instead of refunding twice
+async function refundShopifyOrder(orderId, amountCents, currency, isFullRefund, reason, refundKey) {
+  const { refunds } = await shopify.rest('GET', `orders/${orderId}/refunds.json`);
+  const alreadyRefunded = (refunds || []).some(existing => existing.note && existing.note.includes(`[${refundKey}]`));
+  
+  if (!alreadyRefunded) {
+    const { transactions } = await shopify.rest('GET', `orders/${orderId}/transactions.json`);
+    const parent = (transactions || []).find(t => t.kind === 'sale' || t.kind === 'capture');
+    
+    await shopify.rest('POST', `orders/${orderId}/refunds.json`, {
+      refund: {
+        notify: false,
+        note: `${reason} [${refundKey}]`,
+        transactions: [
+          {
+            parent_id: parent ? parent.id : undefined,
+            amount: toMajorUnits(amountCents, currency).toFixed(2),
+            currency: currency.toUpperCase(),
+            kind: 'refund',
+            gateway: 'manual'
+          }
+        ]
+      }
+    });
+  }
+  
+  if (isFullRefund) {
+    const { order } = await shopify.rest('GET', `orders/${orderId}.json?fields=id,cancelled_at`);
+    if (!order.cancelled_at) {
+      await shopify.rest('POST', `orders/${orderId}/cancel.json`, { reason: 'customer', email: false });
+    }
+  }
+  
+  await addShopifyOrderTags(orderId, [isFullRefund ? 'refunded' : 'partially-refunded']);
+  logger.info(isFullRefund ? 'Shopify order refunded and cancelled' : 'Shopify order partially refunded', { shopify_order_id: orderId });
+}
+
+// Plan installments are charged by their invoice, so the payment intent has no
+// checkout metadata - it's on the subscription the invoice belongs to
+async function withCheckoutMetadata(paymentIntent) {
+  if (paymentIntent.metadata?.customer_email || !paymentIntent.invoice) {
+    return paymentIntent;
+  }
+  
+  const invoice = await stripe.invoices.retrieve(paymentIntent.invoice);
+  if (!invoice.subscription) {
+    return paymentIntent;
+  }
+  
+  const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+  return { ...paymentIntent, metadata: { ...subscription.metadata, ...paymentIntent.metadata } };
+}
+
+async function retrievePaymentIntent(paymentIntentId) {
+  return withCheckoutMetadata(await stripe.paymentIntents.retrieve(paymentIntentId));
+}
+
+// Refunds are cumulative on the charge - only sync the part Shopify hasn't seen yet
+async function handleChargeRefunded(charge) {
+  const paymentIntentId = charge.payment_intent;
+  if (!paymentIntentId) {
+    logger.warn('Refunded charge has no payment intent - skipping', { charge_id: charge.id });
+    return;
+  }
+  
+  const paymentIntent = await retrievePaymentIntent(paymentIntentId);
+  const { customer_email } = paymentIntent.metadata;
+  const payment = eventLedger.getPayment(paymentIntentId) || {};
+  const alreadySynced = payment.refunded_amount || 0;
+  const refundDelta = charge.amount_refunded - alreadySynced;
+  const isFullRefund = charge.refunded === true;
+  
+  logger.info('Charge refunded', { charge_id: charge.id, amount_refunded: charge.amount_refunded, amount: charge.amount, currency: charge.currency });
+  
+  if (refundDelta <= 0) {
+    return;
+  }
+  
+  // The refund event is keyed by the running total, so each new refund is its own event
+  await dispatchEvent('refund', {
+    payment_intent_id: paymentIntentId,
+    charge_id: charge.id,
+    email: customer_email || null,
+    stripe_customer_id: customerRefForPayment(paymentIntent).stripeCustomerId,
+    funnel_id: paymentIntent.metadata.funnel_id || null,
+    product_id: paymentIntent.metadata.product_id,
+    product_tag: paymentIntent.metadata.product_tag,
+    product_tags: productTagsForPayment(paymentIntent),
+    refund_amount: toMajorUnits(refundDelta, charge.currency),
+    refund_amount_minor: refundDelta,
+    total_refunded: toMajorUnits(charge.amount_refunded, charge.currency),
+    currency: charge.currency.toUpperCase(),
+    full_refund: isFullRefund
+  }, `${charge.id}:${charge.amount_refunded}`, paymentIntent.metadata.funnel_id);
+  
+  eventLedger.updatePayment(paymentIntentId, { refunded_amount: charge.amount_refunded });
+}
+
+async function refundPaymentInShopify(refund, eventId) {
+  const orderId = await findShopifyOrderId(refund.payment_intent_id, { email: refund.email, stripeCustomerId: refund.stripe_customer_id });
+  
+  if (!orderId) {
+    logger.warn('No Shopify order found for payment', { payment_intent_id: refund.payment_intent_id });
+    return null;
+  }
+  
+  await refundShopifyOrder(orderId, refund.refund_amount_minor, refund.currency, refund.full_refund, `Stripe refund on charge ${refund.charge_id}`, eventId);
+  return orderId;
+}
+
+// A full refund takes the product tags off the customer, like a cancelled plan
+async function revokeRefundedProductTags(refund) {
+  if (!refund.full_refund || !refund.email) {
+    return null;
+  }
+  
+  return updateShopifyCustomerTags(
+    { email: refund.email, stripeCustomerId: refund.stripe_customer_id },
+    { add: refund.product_tags.map(tag => reversedProductTag(tag, 'refunded')), remove: refund.product_tags },
+    `Refunded: ${refund.payment_intent_id} (${new Date().toLocaleDateString()})`
+  );
+}
+
+// Flag the customer immediately so course access can be revoked while the dispute is open
+async function handleDisputeCreated(dispute) {
+  const paymentIntent = await retrievePaymentIntent(dispute.payment_intent);
+  const { customer_email } = paymentIntent.metadata;
+  
+  logger.warn('Dispute opened', { dispute_id: dispute.id, reason: dispute.reason, email: customer_email });
+  eventLedger.updatePayment(paymentIntent.id, { dispute_id: dispute.id, dispute_status: dispute.status });
+  
+  if (!shopify.isConfigured() || !customer_email) {
+    return;
+  }
+  
+  const customerRef = customerRefForPayment(paymentIntent);
+  await updateShopifyCustomerTags(
+    customerRef,
+    { add: ['disputed', 'access-revoked'] },
+    `Dispute opened: ${dispute.id} - ${dispute.reason} (${new Date().toLocaleDateString()})`
+  );
+  
+  const orderId = await findShopifyOrderId(paymentIntent.id, customerRef);
+  if (orderId) {
+    await addShopifyOrderTags(orderId, ['disputed']);
+  }
+}
+
+// Won disputes restore access, lost ones are treated like a refund of the product
+async function handleDisputeClosed(dispute) {
+  const paymentIntent = await retrievePaymentIntent(dispute.payment_intent);
+  const { customer_email } = paymentIntent.metadata;
+  
+  logger.info('Dispute closed', { dispute_id: dispute.id, status: dispute.status });
+  eventLedger.updatePayment(paymentIntent.id, { dispute_id: dispute.id, dispute_status: dispute.status });
+  
+  if (!shopify.isConfigured() || !customer_email) {
+    return;
+  }
+  
+  const noteLine = `Dispute ${dispute.status}: ${dispute.id} (${new Date().toLocaleDateString()})`;
+  const customerRef = customerRefForPayment(paymentIntent);
+  
+  if (dispute.status === 'won') {
+    await updateShopifyCustomerTags(customerRef, { remove: ['disputed', 'access-revoked'] }, noteLine);
+  } else if (dispute.status === 'lost') {
+    const productTags = productTagsForPayment(paymentIntent);
+    await updateShopifyCustomerTags(
+      customerRef,
+      {
+        add: ['dispute-lost', ...productTags.map(tag => reversedProductTag(tag, 'disputed'))],
+        remove: ['disputed', ...productTags]
+      },
+      noteLine
+    );
+    
+    const orderId = await findShopifyOrderId(paymentIntent.id, customerRef);
+    if (orderId) {
+      await addShopifyOrderTags(orderId, ['dispute-lost']);
+    }
+  }
+}
+
+// Only relevant if an order was already written for this intent (e.g. manual sync)
+async function handlePaymentCanceled(canceledPayment) {
+  const paymentIntent = await withCheckoutMetadata(canceledPayment);
+  const { customer_email } = paymentIntent.metadata;
+  
+  logger.info('Payment canceled', { payment_intent_id: paymentIntent.id, reason: paymentIntent.cancellation_reason || null });
+  eventLedger.updatePayment(paymentIntent.id, { canceled: true });
+  
+  if (!shopify.isConfigured() || !customer_email) {
+    return;
+  }
+  
+  const orderId = await findShopifyOrderId(paymentIntent.id, customerRefForPayment(paymentIntent));
+  if (orderId) {
+    await shopify.rest('POST', `orders/${orderId}/cancel.json`, { reason: 'other', email: false });
+    await addShopifyOrderTags(orderId, ['payment-canceled']);
+    logger.info('Cancelled Shopify order', { shopify_order_id: orderId });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PAYMENT PLANS AND SUBSCRIPTIONS
+// ═══════════════════════════════════════════════════════════════
+
+// Every paid installment runs the normal post-purchase steps - its own Shopify order,
+// customer note line and receipt - keyed on the invoice's payment so retries don't duplicate
+async function handleInvoicePaid(invoice, eventId) {
+  const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+  const metadata = subscription.metadata;
+  
+  if (!metadata.customer_email) {
+    logger.info('Subscription not started by checkout - skipping', { subscription_id: subscription.id });
+    return { ran: [], failed: [] };
+  }
+  
+  const paidInvoices = await stripe.invoices.list({
+    subscription: subscription.id,
+    status: 'paid',
+    limit: 100
+  });
+  const installment = plans.installmentNumber(paidInvoices.data, invoice);
+  const installments = parseInt(metadata.installments) || null;
+  const isFinalInstallment = plans.isFinalInstallment(installment, installments);
+  
+  logger.info('Plan payment', { installment: installment, installments: installments, email: metadata.customer_email });
+  
+  // Installment plans end once the last installment is paid, however late dunning
+  // got it in - the period it opened runs out and there is no renewal after it
+  if (isFinalInstallment && !subscription.cancel_at_period_end && subscription.status !== 'canceled') {
+    await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: true });
+    logger.info('Installment plan completed', { subscription_id: subscription.id });
+  }
+  
+  // Stripe applied any plan discount to this invoice - record what it took off
+  const discountAmount = plans.invoiceDiscountAmount(invoice);
+  const taxLines = await tax.invoiceTaxLines(invoice);
+  
+  const planPayment = {
+    id: invoice.payment_intent || invoice.id,
+    amount: invoice.amount_paid,
+    currency: invoice.currency,
+    customer: subscription.customer,
+    metadata: {
+      ...metadata,
+      discount_amount: discountAmount.toString(),
+      tax_amount: (invoice.tax || 0).toString(),
+      tax_lines: JSON.stringify(taxLines),
+      // Consent was given once at checkout - later installments mustn't re-subscribe
+      // someone who has unsubscribed since
+      ...(installment > 1 && { email_consent: 'false', sms_consent: 'false' })
+    }
+  };
+  
+  return sendConfirmationEmail(planPayment, eventId, {
+    installment: installment,
+    installments: installments,
+    subscription_id: subscription.id,
+    ...plans.planTagChanges(isFinalInstallment ? 'completed' : 'active')
+  });
+}
+
+// Failed renewal - flag the customer so access can be paused until the card is fixed
+async function handleInvoicePaymentFailed(invoice) {
+  if (!invoice.subscription) {
+    return;
+  }
+  
+  const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+  const { customer_email } = subscription.metadata;
+  
+  logger.warn('Plan payment failed', { invoice_id: invoice.id, email: customer_email, customer_id: subscription.customer });
+  
+  if (!shopify.isConfigured() || !customer_email) {
+    return;
+  }
+  
+  await updateShopifyCustomerTags(
+    { email: customer_email, stripeCustomerId: subscription.customer },
+    { add: ['plan-past-due'], remove: ['plan-active'] },
+    `Plan payment failed: ${invoice.id} (${new Date().toLocaleDateString()})`
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// JOB QUEUE ADMIN
+// ═══════════════════════════════════════════════════════════════
+
+// Inspect queued, running and dead-lettered jobs (?status=dead for the dead-letter list)
+app.get('/jobs', requireRole('admin'), (req, res) => {
+  const { status } = req.query;
+  const jobs = jobQueue.listJobs(status);
+  
+  res.json({
+    count: jobs.length,
+    jobs: jobs
+  });
+});
+
+app.get('/jobs/:id', requireRole('admin'), (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json(job);
+});
+
+app.post('/jobs/:id/replay', requireRole('admin'), (req, res) => {
+  const job = jobQueue.replayJob(req.params.id);
+  
+  if (!job) {
+    return res.status(400).json({ error: 'Job not found or not replayable' });
+  }
+  
+  logger.info('Replaying job', { replayed_job_id: job.id, replayed_job_type: job.type });
+  res.json({ success: true, job: job });
+});
+
+// Replay the whole dead-letter list, e.g. after a Shopify outage is over
+app.post('/jobs/replay-dead', requireRole('admin'), (req, res) => {
+  const replayed = jobQueue.listJobs('dead').map(job => jobQueue.replayJob(job.id));
+  
+  logger.info('Replaying dead-lettered jobs', { count: replayed.length });
+  res.json({ success: true, replayed: replayed.length });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ADMIN API
+// ═══════════════════════════════════════════════════════════════
+
+// Viewer keys can look things up, support keys can also refund and resend the
+// post-purchase sync, admin keys can also manage the job queue
+
+// Resync steps are the destinations that take purchases
+function postPurchaseSteps() {
+  return destinations.listSinks()
+    .filter(sink => sink.events.includes('purchase') || sink.events.includes('upsell'))
+    .map(sink => sink.name);
+}
+
+const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent'];
+
+// Shopify customer and their orders, or why they couldn't be fetched
+async function fetchShopifyState(email) {
+  if (!shopify.isConfigured() || !email) {
+    return { customer: null, orders: [], error: null };
+  }
+  
+  try {
+    const customer = await shopify.findCustomerByEmail(email);
+    if (!customer) {
+      return { customer: null, orders: [], error: null };
+    }
+    
+    const { orders } = await shopify.rest('GET',
+      `customers/${customer.id}/orders.json?status=any&limit=50&fields=id,name,note,financial_status,cancelled_at,total_price,currency,tags,created_at`);
+    return { customer: customer, orders: orders || [], error: null };
+  } catch (error) {
+    logger.error('Admin Shopify lookup error', { error: error.message });
+    return { customer: null, orders: [], error: error.message };
+  }
+}
+
+// One payment as support sees it - Stripe status and refunds next to what the
+// post-purchase sync did and the Shopify order it created
+function summarizePayment(paymentIntent, shopifyOrders) {
+  const { metadata } = paymentIntent;
+  const charge = typeof paymentIntent.latest_charge === 'object' ? paymentIntent.latest_charge : null;
+  const ledger = eventLedger.getPayment(paymentIntent.id);
+  
+  const shopifyOrderId = eventLedger.getStepResult(paymentIntent.id, 'shopify_order') ||
+    shopifyOrders.find(order => order.note && order.note.includes(paymentIntent.id))?.id || null;
+  const shopifyOrder = shopifyOrders.find(order => order.id === shopifyOrderId);
+  
+  return {
+    id: paymentIntent.id,
+    amount: paymentIntent.amount,
+    currency: paymentIntent.currency,
+    status: paymentIntent.status,
+    created: new Date(paymentIntent.created * 1000).toISOString(),
+    product_id: metadata.product_id || null,
+    purchase_type: metadata.purchase_type || null,
+    funnel_id: metadata.funnel_id || null,
+    is_upsell: metadata.is_upsell === 'true',
+    promo_code: metadata.promo_code || null,
+    invoice: paymentIntent.invoice || null,
+    amount_refunded: charge ? charge.amount_refunded : 0,
+    disputed: charge ? charge.disputed : false,
+    post_purchase: ledger ? {
+      status: ledger.status,
+      steps: ledger.steps,
+      refunded_amount: ledger.refunded_amount || 0,
+      updated_at: ledger.updated_at
+    } : null,
+    shopify_order: shopifyOrder ? {
+      id: shopifyOrder.id,
+      name: shopifyOrder.name,
+      financial_status: shopifyOrder.financial_status,
+      cancelled_at: shopifyOrder.cancelled_at,
+      total_price: shopifyOrder.total_price,
+      currency: shopifyOrder.currency,
+      tags: shopifyOrder.tags
+    } : (shopifyOrderId ? { id: shopifyOrderId } : null)
+  };
+}
+
+// "Did this person pay, and did Shopify get it?"
+app.get('/admin/customers/:email', requireRole('viewer'), auditLog.auditRequest('customer_lookup'), async (req, res) => {
+  const email = req.params.email.toLowerCase().trim();
+  
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+  
+  try {
+    logger.info('Admin customer lookup', { admin: req.adminKey.name, email: email });
+    
+    const customers = await stripe.customers.list({ email: email, limit: 10 });
+    
+    const paymentIntents = [];
+    for (const customer of customers.data) {
+      const result = await stripe.paymentIntents.list({
+        customer: customer.id,
+        limit: 25,
+        expand: ['data.latest_charge']
+      });
+      paymentIntents.push(...result.data);
+    }
+    paymentIntents.sort((a, b) => b.created - a.created);
+    
+    const shopifyState = await fetchShopifyState(email);
+    
+    res.json({
+      email: email,
+      stripe_customers: customers.data.map(customer => ({
+        id: customer.id,
+        name: customer.name,
+        created: new Date(customer.created * 1000).toISOString()
+      })),
+      shopify_customer: shopifyState.customer ? {
+        id: shopifyState.customer.id,
+        tags: shopifyState.customer.tags ? shopifyState.customer.tags.split(', ') : [],
+        orders_count: shopifyState.customer.orders_count,
+        state: shopifyState.customer.state
+      } : null,
+      shopify_error: shopifyState.error,
+      payments: paymentIntents.map(paymentIntent => summarizePayment(paymentIntent, shopifyState.orders)),
+      upsell_declines: customers.data.flatMap(customer => upsellTokens.listDeclines(customer.id))
+    });
+    
+  } catch (error) {
+    logger.error('Admin customer lookup error', { error: error });
+    res.status(500).json({ error: 'Customer lookup failed' });
+  }
+});
+
+app.get('/admin/payments/:id', requireRole('viewer'), auditLog.auditRequest('payment_lookup'), async (req, res) => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(req.params.id, { expand: ['latest_charge'] });
+    const shopifyState = await fetchShopifyState(paymentIntent.metadata.customer_email);
+    
+    res.json({
+      email: paymentIntent.metadata.customer_email || null,
+      shopify_error: shopifyState.error,
+      ...summarizePayment(paymentIntent, shopifyState.orders)
+    });
+    
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    logger.error('Admin payment lookup error', { error: error });
+    res.status(500).json({ error: 'Payment lookup failed' });
+  }
+});
+
+// Retried refund requests with the same Idempotency-Key return the first refund
+const refundIdempotency = idempotent('admin-refund', {
+  fingerprint: req => [req.params.id, req.body.amount, req.body.reason]
+});
+
+// Full refund by default, or a partial one in minor units. Shopify is updated from
+// the charge.refunded webhook, the same as refunds made in the Stripe dashboard
+app.post('/admin/payments/:id/refund', requireRole('support'), auditLog.auditRequest('refund'), refundIdempotency, async (req, res) => {
+  const { amount, reason, note } = req.body;
   
-  if (!SHOPIFY_STORE_URL || !SHOPIFY_ACCESS_TOKEN) {
-    console.log('⚠️ Shopify credentials not configured');
-    return;
+  if (reason !== undefined && !REFUND_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `Reason must be one of ${REFUND_REASONS.join(', ')}` });
   }
   
-  console.log(`🛍️ Processing Shopify customer: ${data.email}`);
-  console.log(`📦 Product tag: ${data.product_tag}`);
-  console.log(`🔄 Is returning customer: ${data.is_returning_customer}`);
-  
   try {
-    // Use specific product tag instead of progressive tagging
-    const baseTag = 'customer';
-    const productSpecificTag = data.product_tag || 'unknown-product';
-    const newTags = [baseTag, productSpecificTag];
+    const paymentIntent = await stripe.paymentIntents.retrieve(req.params.id, { expand: ['latest_charge'] });
+    const charge = paymentIntent.latest_charge;
     
-    console.log(`🏷️ Tags to apply: ${newTags.join(', ')}`);
+    if (paymentIntent.status !== 'succeeded' || !charge) {
+      return res.status(400).json({ error: 'Only succeeded payments can be refunded' });
+    }
     
-    // Search for existing customer
-    const searchUrl = `https://${SHOPIFY_STORE_URL}/admin/api/2023-10/customers/search.json?query=email:${encodeURIComponent(data.email)}`;
-    const searchResponse = await fetch(searchUrl, {
-      method: 'GET',
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json'
-      }
-    });
+    const refundable = charge.amount - charge.amount_refunded;
+    if (refundable <= 0) {
+      return res.status(400).json({ error: 'Payment is already fully refunded' });
+    }
     
-    const searchResult = await searchResponse.json();
+    if (amount !== undefined && (!Number.isInteger(amount) || amount < 1 || amount > refundable)) {
+      return res.status(400).json({ error: `Refund amount must be between 1 and ${refundable}` });
+    }
     
-    if (searchResult.customers && searchResult.customers.length > 0) {
-      // EXISTING CUSTOMER - Add new product tag
-      const customer = searchResult.customers[0];
-      console.log(`👤 Updating existing Shopify customer: ${customer.id}`);
-      
-      const existingTags = customer.tags ? customer.tags.split(', ').map(tag => tag.trim()) : [];
-      
-      // Add new product-specific tag (avoid duplicates)
-      const allTags = [...new Set([...existingTags, ...newTags])];
-      
-      // Add returning customer tag only if truly returning (time-based)
-      if (data.is_returning_customer && !allTags.includes('returning-customer')) {
-        allTags.push('returning-customer');
-        console.log(`✨ Added returning-customer tag`);
-      }
-      
-      const updateResponse = await fetch(`https://${SHOPIFY_STORE_URL}/admin/api/2023-10/customers/${customer.id}.json`, {
-        method: 'PUT',
-        headers: {
-          'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          customer: {
-            id: customer.id,
-            tags: allTags.join(', '),
-            note: updateCustomerNote(customer.note, data),
-            accepts_marketing: true,
-            accepts_marketing_updated_at: new Date().toISOString(),
-            email_marketing_consent: {
-              state: 'subscribed',
-              opt_in_level: 'single_opt_in',
-              consent_updated_at: new Date().toISOString(),
-              consent_collected_from: 'WEB'
-            },
-            sms_marketing_consent: {
-              state: 'subscribed',
-              opt_in_level: 'single_opt_in',
-              consent_updated_at: new Date().toISOString(),
-              consent_collected_from: 'WEB'
-            }
-          }
-        })
-      });
-      
-      if (updateResponse.ok) {
-        console.log(`✅ Updated customer with tags: ${allTags.join(', ')}`);
-        console.log(`📧 Email marketing: SUBSCRIBED`);
-        console.log(`📱 SMS marketing: SUBSCRIBED`);
-        return customer.id;
-      }
-      
-    } else {
-      // NEW CUSTOMER - Create with specific tags
-      console.log(`👤 Creating new Shopify customer...`);
-      
-      const initialTags = [...newTags, 'first-time-customer'];
-      
-      const createResponse = await fetch(`https://${SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json`, {
-        method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          customer: {
-            email: data.email,
-            tags: initialTags.join(', '),
-            note: buildCustomerNote(data),
-            verified_email: true,
-            accepts_marketing: true,
-            accepts_marketing_updated_at: new Date().toISOString(),
-            email_marketing_consent: {
-              state: 'subscribed',
-              opt_in_level: 'single_opt_in',
-              consent_updated_at: new Date().toISOString(),
-              consent_collected_from: 'WEB'
-            },
-            sms_marketing_consent: {
-              state: 'subscribed',
-              opt_in_level: 'single_opt_in',
-              consent_updated_at: new Date().toISOString(),
-              consent_collected_from: 'WEB'
-            }
-          }
-        })
-      });
-      
-      if (createResponse.ok) {
-        const newCustomer = await createResponse.json();
-        console.log(`✅ Created new customer with tags: ${initialTags.join(', ')}`);
-        console.log(`📧 Email marketing: SUBSCRIBED`);
-        console.log(`📱 SMS marketing: SUBSCRIBED`);
-        return newCustomer.customer.id;
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntent.id,
+      amount: amount,
+      reason: reason || 'requested_by_customer',
+      metadata: {
+        refunded_by: req.adminKey.name,
+        note: typeof note === 'string' ? note.slice(0, 500) : ''
       }
-    }
+    }, req.idempotencyKey ? { idempotencyKey: req.idempotencyKey } : undefined);
+    
+    logger.info('Refund issued', { refund_id: refund.id, amount: refund.amount, currency: refund.currency, payment_intent_id: paymentIntent.id, admin: req.adminKey.name });
+    
+    res.json({
+      success: true,
+      refund: {
+        id: refund.id,
+        amount: refund.amount,
+        currency: refund.currency,
+        status: refund.status
+      },
+      full_refund: refund.amount === refundable
+    });
     
   } catch (error) {
-    console.error('❌ Shopify customer error:', error.message);
-    return null;
+    if (error.code === 'resource_missing') {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    logger.error('Admin refund error', { error: error });
+    res.status(400).json({ error: error.type === 'StripeInvalidRequestError' ? error.message : 'Refund failed' });
   }
-}
+});
 
-// Create Shopify order for revenue tracking
-async function createShopifyOrder(data) {
-  const SHOPIFY_STORE_URL = process.env.SHOPIFY_STORE_URL;
-  const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+// Resend the post-purchase sync for a payment. Steps that already succeeded are
+// skipped unless listed in "steps" - e.g. ["confirmation_email"] to resend the email
+app.post('/admin/payments/:id/resync', requireRole('support'), auditLog.auditRequest('resync'), async (req, res) => {
+  const { steps } = req.body;
   
-  if (!SHOPIFY_STORE_URL || !SHOPIFY_ACCESS_TOKEN) {
-    console.log('⚠️ Shopify credentials not configured for orders');
-    return;
+  const knownSteps = postPurchaseSteps();
+  if (steps !== undefined && (!Array.isArray(steps) || !steps.every(step => knownSteps.includes(step)))) {
+    return res.status(400).json({ error: `Steps must be a list of ${knownSteps.join(', ')}` });
   }
   
-  console.log(`🛒 Creating Shopify order for: ${data.email}`);
-  console.log(`💰 Order amount: ${data.amount} dollars`);
-  console.log(`💰 Order amount in cents: ${data.amount * 100}`);
-  
   try {
-    // Get Shopify customer ID
-    const searchUrl = `https://${SHOPIFY_STORE_URL}/admin/api/2023-10/customers/search.json?query=email:${encodeURIComponent(data.email)}`;
-    const searchResponse = await fetch(searchUrl, {
-      method: 'GET',
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json'
-      }
-    });
+    const paymentIntent = await stripe.paymentIntents.retrieve(req.params.id);
     
-    const searchResult = await searchResponse.json();
-    let shopifyCustomerId = null;
-    
-    if (searchResult.customers && searchResult.customers.length > 0) {
-      shopifyCustomerId = searchResult.customers[0].id;
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({ error: 'Only succeeded payments can be synced' });
     }
     
-    // Get product details dynamically from Stripe
-    let product;
-    try {
-      const stripeProduct = await stripe.products.retrieve(data.product_id);
-      product = {
-        title: stripeProduct.name,
-        price: data.amount.toFixed(2),  // data.amount is already in dollars
-        sku: stripeProduct.metadata?.sku || `BSBP-${data.product_id.slice(-6)}`,
-        vendor: stripeProduct.metadata?.vendor || 'Black Sheep Business'
-      };
-    } catch (error) {
-      console.error('Could not retrieve product details for order:', error.message);
-      // Fallback to basic product info
-      product = {
-        title: data.product_name || 'Product',
-        price: data.amount.toFixed(2),  // data.amount is already in dollars
-        sku: `BSBP-${data.product_id.slice(-6)}`,
-        vendor: 'Black Sheep Business'
-      };
+    if (!paymentIntent.invoice && !paymentIntent.metadata.customer_email) {
+      return res.status(400).json({ error: 'Payment was not made through checkout' });
     }
     
-    // Create order payload (simplified to avoid API restrictions)
-    const orderData = {
-      order: {
-        email: data.email,
-        financial_status: 'paid',
-        fulfillment_status: null,
-        send_receipt: false,
-        send_fulfillment_receipt: false,
-        note: `Order created from Stripe payment: ${data.payment_intent_id}\nPurchase Type: ${data.purchase_type}\nProduct ID: ${data.product_id}`,
-        tags: `stripe-payment,${data.purchase_type.replace('_', '-')},external-payment`,
-        line_items: [
-          {
-            title: product.title,
-            price: product.price,
-            quantity: 1,
-            vendor: product.vendor,
-            requires_shipping: false,
-            taxable: false,
-            gift_card: false,
-            fulfillment_service: 'manual'
-          }
-        ],
-        transactions: [
-          {
-            kind: 'sale',
-            status: 'success',
-            amount: (data.amount * 100).toString(),  // Convert dollars to cents for Shopify
-            currency: 'USD',
-            gateway: 'manual'
-          }
-        ],
-        total_price: data.amount.toFixed(2),  // Keep as dollars for total_price
-        subtotal_price: data.amount.toFixed(2),  // Keep as dollars for subtotal_price
-        total_tax: '0.00',
-        currency: 'USD'
-      }
-    };
-    
-    // Add customer ID if found
-    if (shopifyCustomerId) {
-      orderData.order.customer = {
-        id: shopifyCustomerId
-      };
+    if (steps && steps.length > 0) {
+      eventLedger.resetPaymentSteps(paymentIntent.id, steps);
     }
     
-    // Billing address (simplified - required for orders)
-    orderData.order.billing_address = {
-      first_name: 'Customer',
-      last_name: '',
-      address1: 'Online Purchase',
-      city: 'Online',
-      province: '',
-      country: 'US',
-      zip: '00000',
-      email: data.email
-    };
-    
-    // Create the order
-    const createResponse = await fetch(`https://${SHOPIFY_STORE_URL}/admin/api/2023-10/orders.json`, {
-      method: 'POST',
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(orderData)
+    const job = jobQueue.enqueue('payment_resync', {
+      payment_intent_id: paymentIntent.id,
+      requested_by: req.adminKey.name
     });
     
-    if (createResponse.ok) {
-      const newOrder = await createResponse.json();
-      console.log(`✅ Created Shopify order: #${newOrder.order.order_number || newOrder.order.id}`);
-      console.log(`💰 Order total: ${newOrder.order.total_price}`);
-      console.log(`📊 Revenue tracking enabled in Shopify dashboard`);
-      
-      return newOrder.order.id;
-    } else {
-      const errorData = await createResponse.text();
-      console.error(`❌ Failed to create Shopify order: ${createResponse.status}`);
-      console.error('Error details:', errorData);
-      throw new Error(`Shopify order creation failed: ${createResponse.status}`);
-    }
+    logger.info('Post-purchase resync queued', { payment_intent_id: paymentIntent.id, admin: req.adminKey.name, resync_job_id: job.id });
+    
+    res.json({
+      success: true,
+      job_id: job.id,
+      forced_steps: steps || []
+    });
     
   } catch (error) {
-    console.error('❌ Shopify order creation error:', error.message);
-    // Don't throw error - continue processing even if order creation fails
+    if (error.code === 'resource_missing') {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    logger.error('Admin resync error', { error: error });
+    res.status(500).json({ error: 'Resync failed' });
   }
+});
+
+// Runs inside the job queue, like webhook processing - plan installments go
+// through their invoice so the installment number is worked out the same way
+async function resyncPayment({ payment_intent_id, requested_by }) {
+  const paymentIntent = await stripe.paymentIntents.retrieve(payment_intent_id);
+  const eventId = eventLedger.getPayment(payment_intent_id)?.event_id || `resync_${payment_intent_id}`;
+  
+  logger.info('Resyncing payment', { payment_intent_id: payment_intent_id, requested_by: requested_by });
+  
+  const result = paymentIntent.invoice
+    ? await handleInvoicePaid(await stripe.invoices.retrieve(paymentIntent.invoice), eventId)
+    : await sendConfirmationEmail(paymentIntent, eventId);
+  
+  throwIfStepsFailed(result);
 }
 
-// Build initial customer note
-function buildCustomerNote(data) {
-  const timestamp = new Date().toLocaleDateString();
-  return `Purchase History:
-- ${data.product_name}: $${data.amount} (${timestamp})
+jobQueue.registerHandler('payment_resync', resyncPayment);
 
-Purchase Details:
-- Type: ${data.purchase_type}
-- Payment ID: ${data.payment_intent_id}
-- Product ID: ${data.product_id}
-- Returning Customer: ${data.is_returning_customer ? 'Yes' : 'No'}`;
+// One-off: link Stripe customers from before linking existed to their Shopify
+// customer. Runs a page of Stripe customers per job so it can be resumed and retried
+app.post('/admin/customers/backfill-links', requireRole('admin'), auditLog.auditRequest('customer_link_backfill'), (req, res) => {
+  if (!shopify.isConfigured()) {
+    return res.status(503).json({ error: 'Shopify credentials not configured' });
+  }
+
+  const dryRun = req.body.dry_run === true;
+  const job = jobQueue.enqueue('customer_link_backfill', {
+    starting_after: null,
+    dry_run: dryRun,
+    requested_by: req.adminKey.name,
+    totals: { checked: 0, already_linked: 0, linked: 0, not_found: 0, failed: 0 }
+  });
+
+  logger.info('Customer link backfill queued', { dry_run: dryRun, admin: req.adminKey.name, backfill_job_id: job.id });
+
+  res.json({
+    success: true,
+    job_id: job.id,
+    dry_run: dryRun
+  });
+});
+
+async function backfillCustomerLinks({ starting_after, dry_run, requested_by, totals: previousTotals }) {
+  // Copied so a retried page doesn't count its customers twice
+  const totals = { ...previousTotals };
+  const page = await stripe.customers.list({
+    limit: 100,
+    ...(starting_after && { starting_after })
+  });
+
+  for (const customer of page.data) {
+    totals.checked++;
+
+    if (customer.metadata?.shopify_customer_id) {
+      totals.already_linked++;
+      continue;
+    }
+    if (!customer.email) {
+      totals.not_found++;
+      continue;
+    }
+
+    try {
+      const shopifyCustomer = await shopify.findCustomerByEmail(customer.email);
+      if (!shopifyCustomer) {
+        totals.not_found++;
+        continue;
+      }
+      if (!dry_run) {
+        await linkCustomers(customer.id, { id: shopifyCustomer.id });
+      }
+      totals.linked++;
+    } catch (error) {
+      // Throttling and outages retry the page - customers linked so far are skipped next time
+      if (error.retryable) {
+        throw error;
+      }
+      logger.error('Could not link Stripe customer', { customer_id: customer.id, error: error.message });
+      totals.failed++;
+    }
+  }
+
+  if (page.has_more) {
+    jobQueue.enqueue('customer_link_backfill', {
+      starting_after: page.data[page.data.length - 1].id,
+      dry_run: dry_run,
+      requested_by: requested_by,
+      totals: totals
+    });
+    return;
+  }
+
+  logger.info('Customer link backfill finished', { dry_run: dry_run, requested_by: requested_by, totals: totals });
+  auditLog.recordAudit({
+    action: 'customer_link_backfill_finished',
+    actor: requested_by,
+    dry_run: dry_run,
+    totals: totals
+  });
 }
 
-// Update existing customer note
-function updateCustomerNote(existingNote, data) {
-  const timestamp = new Date().toLocaleDateString();
-  const newPurchase = `- ${data.product_name}: $${data.amount} (${timestamp})`;
+jobQueue.registerHandler('customer_link_backfill', backfillCustomerLinks);
+
+// Transactional email delivery log, newest first (?to=, ?status=, ?reference= a payment id)
+app.get('/admin/emails', requireRole('support'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const deliveries = mailer.listDeliveries({
+    to: typeof req.query.to === 'string' ? req.query.to.toLowerCase().trim() : undefined,
+    status: req.query.status,
+    reference: req.query.reference,
+    limit: limit
+  });
   
-  if (!existingNote) {
-    return buildCustomerNote(data);
-  }
+  res.json({
+    count: deliveries.length,
+    deliveries: deliveries
+  });
+});
+
+// Admin and diagnostics calls, newest first (?actor= to filter by key name)
+app.get('/admin/audit-log', requireRole('admin'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const entries = auditLog.listAudit({ actor: req.query.actor, limit });
   
-  if (existingNote.includes('Purchase History:')) {
-    const lines = existingNote.split('\n');
-    const purchaseIndex = lines.findIndex(line => line.includes('Purchase History:'));
-    
-    if (purchaseIndex !== -1) {
-      lines.splice(purchaseIndex + 1, 0, newPurchase);
-      return lines.join('\n');
+  res.json({
+    count: entries.length,
+    entries: entries
+  });
+});
+
+// Marketing consent history for compliance requests - ?email= for one person,
+// ?since= / ?until= (ISO dates) for a period, ?format=csv to download
+app.get('/admin/consent-log', requireRole('support'), auditLog.auditRequest('consent_export'), (req, res) => {
+  const { email, since, until, format } = req.query;
+
+  for (const [name, value] of [['since', since], ['until', until]]) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `Invalid ${name} date` });
     }
   }
-  
-  return existingNote + '\n\nPurchase History:\n' + newPurchase;
-}
 
-// Send confirmation email
-async function sendEmailConfirmation(data) {
-  console.log(`📧 Would send ${data.purchase_type} confirmation email to: ${data.email}`);
-  console.log(`📦 Product: ${data.product_name} - $${data.amount}`);
-  console.log(`🔄 Returning customer: ${data.is_returning_customer}`);
-}
+  const consents = consentLog.listConsent({
+    email: typeof email === 'string' ? email.toLowerCase().trim() : undefined,
+    since: since ? new Date(since).toISOString() : undefined,
+    until: until ? new Date(until).toISOString() : undefined
+  });
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="consent-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.send(consentLog.toCsv(consents));
+  }
+
+  res.json({
+    count: consents.length,
+    consents: consents
+  });
+});
 
 // ═══════════════════════════════════════════════════════════════
 // TEST AND DEBUG ENDPOINTS
 // ═══════════════════════════════════════════════════════════════
 
+// These create real Shopify records and show customer data, so they need an admin
+// key, are off by default with a live Stripe key (DIAGNOSTICS_ENABLED=true turns
+// them on) and every call is written to the audit log
+function diagnosticsEnabled() {
+  if (process.env.DIAGNOSTICS_ENABLED !== undefined) {
+    return process.env.DIAGNOSTICS_ENABLED === 'true';
+  }
+  return !!process.env.STRIPE_SECRET_KEY?.includes('test');
+}
+
+const diagnostics = express.Router();
+
+diagnostics.use(requireRole('admin'));
+diagnostics.use(auditLog.auditRequest('diagnostics'));
+diagnostics.use((req, res, next) => {
+  if (!diagnosticsEnabled()) {
+    return res.status(404).json({ error: 'Diagnostics are disabled' });
+  }
+  next();
+});
+
+app.use('/diagnostics', diagnostics);
+
 // Test Shopify integration (flexible for any product)
-app.post('/test-shopify', async (req, res) => {
+diagnostics.post('/test-shopify', async (req, res) => {
   const { email, purchase_type, product_id, amount, product_tag } = req.body;
   
   if (!email) {
@@ -1146,34 +3112,33 @@ app.post('/test-shopify', async (req, res) => {
         amount: amount / 100, // Convert cents to dollars for internal use
         product_id: product_id,
         product_name: productValidation.product.name,
-        purchase_type: purchase_type || 'main_course',
+        purchase_type: purchase_type || productValidation.funnelProduct?.purchase_type || 'main_course',
         payment_intent_id: 'test_' + Date.now(),
         is_returning_customer: false,
-        product_tag: product_tag || 'test-product'
+        product_tag: product_tag || productValidation.funnelProduct?.shopify_tag || 'test-product'
       };
     } else {
-      // Default preset testing with specific tags
-      const presetData = {
-        'main_course': { amount: 47, product_id: 'prod_SfYipzYOk3rdyN', name: 'Black Sheep Business Program', tag: 'main-course' },
-        'coaching_upsell': { amount: 297, product_id: 'prod_SfYjjur56WyxMI', name: 'Premium 1-on-1 Coaching', tag: 'coaching-buyer' },
-        'software_upsell': { amount: 97, product_id: 'prod_SfdrwTwTQpDt5a', name: 'Software', tag: 'software-buyer' }
-      };
+      // Default preset testing - the configured product for this purchase type
+      const preset = funnels.findProductByPurchaseType(purchase_type || 'main_course') ||
+        funnels.findProductByPurchaseType('main_course');
       
-      const preset = presetData[purchase_type] || presetData['main_course'];
+      if (!preset) {
+        return res.status(400).json({ error: `No configured product for purchase type: ${purchase_type}` });
+      }
       
       testData = {
         email: email,
-        amount: preset.amount,
-        product_id: preset.product_id,
+        amount: preset.prices[0] / 100, // Convert cents to dollars for internal use
+        product_id: preset.id,
         product_name: preset.name,
-        purchase_type: purchase_type || 'main_course',
+        purchase_type: preset.purchase_type,
         payment_intent_id: 'test_' + Date.now(),
         is_returning_customer: false,
-        product_tag: product_tag || preset.tag
+        product_tag: product_tag || preset.shopify_tag
       };
     }
     
-    console.log('🧪 Testing Shopify integration with data:', testData);
+    logger.info('Testing Shopify integration', { test_data: testData });
     
     // Test both customer and order creation
     await createOrUpdateShopifyCustomer(testData);
@@ -1189,7 +3154,7 @@ app.post('/test-shopify', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('❌ Shopify test failed:', error);
+    logger.error('Shopify test failed', { error: error });
     res.status(500).json({ 
       error: error.message,
       details: 'Check server logs for full error details'
@@ -1198,28 +3163,13 @@ app.post('/test-shopify', async (req, res) => {
 });
 
 // Check customer in Shopify
-app.get('/test-shopify-customer/:email', async (req, res) => {
+diagnostics.get('/shopify-customer/:email', async (req, res) => {
   const { email } = req.params;
-  const SHOPIFY_STORE_URL = process.env.SHOPIFY_STORE_URL;
-  const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-  
-  if (!SHOPIFY_STORE_URL || !SHOPIFY_ACCESS_TOKEN) {
-    return res.status(500).json({ error: 'Shopify credentials not configured' });
-  }
   
   try {
-    const searchResponse = await fetch(`https://${SHOPIFY_STORE_URL}/admin/api/2023-10/customers/search.json?query=email:${encodeURIComponent(email)}`, {
-      method: 'GET',
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json'
-      }
-    });
+    const customer = await shopify.findCustomerByEmail(email);
     
-    const searchResult = await searchResponse.json();
-    
-    if (searchResult.customers && searchResult.customers.length > 0) {
-      const customer = searchResult.customers[0];
+    if (customer) {
       res.json({
         found: true,
         customer: {
@@ -1240,38 +3190,31 @@ app.get('/test-shopify-customer/:email', async (req, res) => {
     }
     
   } catch (error) {
-    console.error('❌ Failed to search Shopify customer:', error);
-    res.status(500).json({ error: error.message });
+    logger.error('Failed to search Shopify customer', { error: error });
+    const status = error instanceof shopify.ShopifyConfigError ? 503
+      : error instanceof shopify.ShopifyThrottledError ? 429 : 502;
+    res.status(status).json({ error: error.message });
   }
 });
 
 // Debug environment variables
-app.get('/debug-env', (req, res) => {
+diagnostics.get('/env', (req, res) => {
   res.json({
     stripe_key_configured: !!process.env.STRIPE_SECRET_KEY,
     shopify_url_configured: !!process.env.SHOPIFY_STORE_URL,
     shopify_token_configured: !!process.env.SHOPIFY_ACCESS_TOKEN,
+    shopify_api_version: shopify.API_VERSION,
+    smtp_configured: mailer.isConfigured(),
+    tax_provider: tax.provider,
+    log_level: logger.level,
     webhook_secret_configured: !!process.env.STRIPE_WEBHOOK_SECRET,
     node_env: process.env.NODE_ENV || 'development',
     environment_vars_count: Object.keys(process.env).length
   });
 });
 
-// Health check
-app.get('/', (req, res) => {
-  const isTestMode = process.env.STRIPE_SECRET_KEY?.includes('test');
-  
-  res.json({ 
-    status: 'Black Sheep Payment Server Running! 🐑',
-    message: 'Ready to process seamless payments and upsells - Shopify Only Version',
-    environment: process.env.NODE_ENV || 'development',
-    stripe_mode: isTestMode ? 'test' : 'live',
-    timestamp: new Date().toISOString()
-  });
-});
-
 // Test Stripe connection
-app.get('/test-stripe', async (req, res) => {
+diagnostics.get('/stripe', async (req, res) => {
   try {
     const balance = await stripe.balance.retrieve();
     res.json({ 
@@ -1287,14 +3230,94 @@ app.get('/test-stripe', async (req, res) => {
   }
 });
 
+// Send one email straight away (not queued) so SMTP errors show up in the response
+diagnostics.post('/test-email', async (req, res) => {
+  const { to, template } = req.body;
+  
+  if (!isValidEmail(to)) {
+    return res.status(400).json({ error: 'Valid "to" address required' });
+  }
+  
+  if (!mailer.isConfigured()) {
+    return res.status(503).json({ error: 'SMTP not configured' });
+  }
+  
+  const templateName = template || 'purchase';
+  if (!emailTemplates.hasTemplate(templateName)) {
+    return res.status(400).json({ error: `Unknown email template: ${templateName}` });
+  }
+  
+  const preset = funnels.findProductByPurchaseType('main_course');
+  const sampleAmount = preset ? formatMoney(toMajorUnits(preset.prices[0], 'usd'), 'usd') : '$0';
+  const message = emailTemplates.render(templateName, {
+    email: to,
+    first_name: 'Test',
+    product_name: preset?.name || 'Test Product',
+    amount: sampleAmount,
+    items_text: `- ${preset?.name || 'Test Product'}: ${sampleAmount}`,
+    items_html: `<li>${emailTemplates.escapeHtml(`${preset?.name || 'Test Product'}: ${sampleAmount}`)}</li>`,
+    login_url: preset?.access?.login_url,
+    access_instructions: preset?.access?.instructions,
+    confirm_url: `${publicBaseUrl(req)}/confirm-optin/test`,
+    expires_in_hours: optinConfirmations.CONFIRM_WINDOW_HOURS,
+    support_email: process.env.EMAIL_REPLY_TO
+  });
+  
+  const delivery = mailer.createDelivery({ template: templateName, to: to, subject: `[TEST] ${message.subject}`, reference: 'diagnostics' });
+  
+  try {
+    const sent = await mailer.sendDelivery(delivery.id, { ...message, to: to, subject: `[TEST] ${message.subject}` });
+    res.json({ success: true, delivery: sent });
+  } catch (error) {
+    mailer.markFailed(delivery.id, error);
+    res.status(502).json({ success: false, error: error.message, retryable: error.retryable });
+  }
+});
+
+// Health check
+app.get('/', (req, res) => {
+  const isTestMode = process.env.STRIPE_SECRET_KEY?.includes('test');
+  
+  res.json({ 
+    status: 'Black Sheep Payment Server Running! 🐑',
+    message: 'Ready to process seamless payments and upsells - Shopify Only Version',
+    environment: process.env.NODE_ENV || 'development',
+    stripe_mode: isTestMode ? 'test' : 'live',
+    timestamp: new Date().toISOString()
+  });
+});
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   const isTestMode = process.env.STRIPE_SECRET_KEY?.includes('test');
   
-  console.log(`🚀 Black Sheep payment server running on port ${PORT}`);
-  console.log(`💳 Ready to process $47 main sales and $297 upsells!`);
-  console.log(`🛍️ Shopify-only integration - will auto-sync to Klaviyo`);
-  console.log(`🔑 Stripe mode: ${isTestMode ? '🧪 TEST MODE' : '🔴 LIVE MODE'}`);
-  console.log(`🌐 Health check: http://localhost:${PORT}/`);
-  console.log(`🛡️ Environment: ${process.env.NODE_ENV || 'development'}`);
+  jobQueue.start();
+  
+  if (optinConfirmations.isDoubleOptInEnabled()) {
+    if (!mailer.isConfigured()) {
+      logger.warn('Double opt-in is on but SMTP is not configured - confirmation emails will not be sent');
+    }
+    expireUnconfirmedOptins();
+    setInterval(expireUnconfirmedOptins, OPTIN_EXPIRY_SWEEP_MS).unref();
+  }
+  
+  const configuredProducts = funnels.listProducts();
+  catalog.warm(
+    configuredProducts.map(product => product.id),
+    configuredProducts.filter(product => product.plan).map(product => product.plan.price_id)
+  );
+  
+  logger.info('Server started', {
+    port: Number(PORT),
+    stripe_mode: isTestMode ? 'test' : 'live',
+    environment: process.env.NODE_ENV || 'development',
+    funnels: funnels.listFunnels().map(funnel => funnel.id),
+    klaviyo: klaviyo.isEnabled(),
+    tax_provider: tax.provider,
+    destinations: destinations.listSinks().map(sink => sink.name),
+    email: mailer.isConfigured() ? `smtp:${process.env.SMTP_HOST}` : 'not configured',
+    optins: optinConfirmations.isDoubleOptInEnabled() ? 'double' : 'single',
+    diagnostics: diagnosticsEnabled(),
+    log_level: logger.level
+  });
 });
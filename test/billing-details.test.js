@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseBillingAddress, parseBuyerName, stripeAddress } = require('../lib/billing-details');
+
+test('a full address is trimmed and the country upper-cased', () => {
+  const { address, error } = parseBillingAddress({ line1: ' 1 High St ', city: 'London', postal_code: 'SW1A 1AA', country: 'gb' });
+  assert.equal(error, undefined);
+  assert.deepEqual(address, { line1: '1 High St', line2: null, city: 'London', state: null, postal_code: 'SW1A 1AA', country: 'GB' });
+});
+
+test('no address, or an empty one, is no address', () => {
+  assert.deepEqual(parseBillingAddress(undefined), { address: null });
+  assert.deepEqual(parseBillingAddress(null), { address: null });
+  assert.deepEqual(parseBillingAddress({ line1: null, line2: null, city: null, state: null, postal_code: null, country: null }), { address: null });
+  assert.deepEqual(parseBillingAddress({ line1: '  ', country: '' }), { address: null });
+});
+
+test('a postal code on its own is kept - all the card form collects', () => {
+  const { address } = parseBillingAddress({ line1: null, line2: null, city: null, state: null, postal_code: '94103', country: null });
+  assert.equal(address.postal_code, '94103');
+  assert.equal(address.country, null);
+});
+
+test('bad addresses are refused', () => {
+  assert.equal(parseBillingAddress('1 High St').error, 'Invalid billing address');
+  assert.equal(parseBillingAddress([]).error, 'Invalid billing address');
+  assert.equal(parseBillingAddress({ city: 5, country: 'GB' }).error, 'Invalid billing address');
+  assert.equal(parseBillingAddress({ line1: 'x'.repeat(201), country: 'GB' }).error, 'Invalid billing address');
+  assert.equal(parseBillingAddress({ country: 'GBR' }).error, 'Invalid billing address');
+  assert.equal(parseBillingAddress({ country: 'G1' }).error, 'Invalid billing country');
+});
+
+test('names are optional and tidied', () => {
+  assert.deepEqual(parseBuyerName(undefined), { name: null });
+  assert.deepEqual(parseBuyerName(null), { name: null });
+  assert.deepEqual(parseBuyerName('   '), { name: null });
+  assert.deepEqual(parseBuyerName('  Ann   Lee '), { name: 'Ann Lee' });
+  assert.deepEqual(parseBuyerName('Cher'), { name: 'Cher' });
+});
+
+test('names that are not text or too long are refused', () => {
+  assert.equal(parseBuyerName(42).error, 'Invalid name');
+  assert.equal(parseBuyerName('x'.repeat(101)).error, 'Invalid name');
+});
+
+test('Stripe gets only the address fields that are filled in', () => {
+  assert.deepEqual(stripeAddress({ line1: '1 High St', line2: null, city: 'London', state: null, postal_code: 'SW1A 1AA', country: 'GB' }),
+    { line1: '1 High St', city: 'London', postal_code: 'SW1A 1AA', country: 'GB' });
+  assert.equal(stripeAddress(null), undefined);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-ledger-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'error';
+
+// A payment synced before Klaviyo was a destination sink, as its ledger recorded it
+fs.writeFileSync(path.join(dataDir, 'processed-payments.json'), JSON.stringify({
+  pi_old: {
+    payment_intent_id: 'pi_old',
+    status: 'completed',
+    steps: {
+      shopify_order: { status: 'completed', attempts: 1, result: 1001 },
+      klaviyo_event: { status: 'completed', attempts: 1, result: null }
+    }
+  }
+}));
+
+const eventLedger = require('../lib/event-ledger');
+
+function countingSteps(names) {
+  const calls = [];
+  const steps = Object.fromEntries(names.map(name => [name, async () => {
+    calls.push(name);
+    return `${name}-done`;
+  }]));
+  return { steps, calls };
+}
+
+test('each step runs once per payment', async () => {
+  const { steps, calls } = countingSteps(['shopify_order', 'klaviyo']);
+  await eventLedger.runPaymentSteps('pi_new', 'evt_1', steps);
+  const again = await eventLedger.runPaymentSteps('pi_new', 'evt_1', steps);
+
+  assert.deepEqual(calls, ['shopify_order', 'klaviyo']);
+  assert.deepEqual(again.ran, []);
+  assert.equal(eventLedger.getStepResult('pi_new', 'shopify_order'), 'shopify_order-done');
+});
+
+test('failed steps run again on the next delivery', async () => {
+  let attempts = 0;
+  const steps = {
+    klaviyo: async () => {
+      attempts++;
+      if (attempts === 1) {
+        throw new Error('Klaviyo is down');
+      }
+    }
+  };
+
+  assert.deepEqual((await eventLedger.runPaymentSteps('pi_flaky', 'evt_2', steps)).failed, ['klaviyo']);
+  assert.deepEqual((await eventLedger.runPaymentSteps('pi_flaky', 'evt_2', steps)).failed, []);
+  assert.equal(attempts, 2);
+});
+
+test('a step done under its old name is not run again', async () => {
+  const { steps, calls } = countingSteps(['shopify_order', 'klaviyo']);
+  const result = await eventLedger.runPaymentSteps('pi_old', 'evt_3', steps);
+
+  assert.deepEqual(calls, []);
+  assert.deepEqual(result.ran, []);
+  assert.equal(eventLedger.getPayment('pi_old').steps.klaviyo.status, 'completed');
+  assert.equal(eventLedger.getPayment('pi_old').steps.klaviyo_event, undefined);
+});
+
+test('an admin resend of a renamed step runs it again', async () => {
+  eventLedger.resetPaymentSteps('pi_old', ['klaviyo']);
+  const { steps, calls } = countingSteps(['shopify_order', 'klaviyo']);
+  await eventLedger.runPaymentSteps('pi_old', 'evt_4', steps);
+
+  assert.deepEqual(calls, ['klaviyo']);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+process.env.LOG_LEVEL = 'error';
+
+const { idempotent } = require('../lib/idempotency');
+
+// Runs one request through the middleware and, if it gets past it, the handler
+function send(middleware, body, handler) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      set(name, value) {
+        this.headers[name] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(responseBody) {
+        resolve({ status: this.statusCode, body: responseBody, replayed: this.headers['Idempotent-Replayed'] === 'true' });
+      }
+    };
+    const req = { body, get: () => undefined };
+    middleware(req, res, () => handler(req, res));
+  });
+}
+
+test('a repeat gets the stored response without running the handler again', async () => {
+  const middleware = idempotent('charge', { fingerprint: req => [req.body.amount] });
+  let charges = 0;
+  const handler = (req, res) => res.json({ charge: ++charges });
+
+  const first = await send(middleware, { idempotency_key: 'key-00001', amount: 100 }, handler);
+  const repeat = await send(middleware, { idempotency_key: 'key-00001', amount: 100 }, handler);
+
+  assert.deepEqual(first.body, { charge: 1 });
+  assert.deepEqual(repeat.body, { charge: 1 });
+  assert.equal(repeat.replayed, true);
+  assert.equal(charges, 1);
+});
+
+test('the same key with different details is refused', async () => {
+  const middleware = idempotent('charge', { fingerprint: req => [req.body.amount] });
+  const handler = (req, res) => res.json({ ok: true });
+
+  await send(middleware, { idempotency_key: 'key-00002', amount: 100 }, handler);
+  const changed = await send(middleware, { idempotency_key: 'key-00002', amount: 200 }, handler);
+
+  assert.equal(changed.status, 422);
+});
+
+test('onReplay can update the stored response before it is sent again', async () => {
+  const middleware = idempotent('token', {
+    fingerprint: () => [],
+    onReplay: body => ({ ...body, upsell_token: 'current' })
+  });
+  const handler = (req, res) => res.json({ success: true, upsell_token: 'spent' });
+
+  assert.equal((await send(middleware, { idempotency_key: 'key-00003' }, handler)).body.upsell_token, 'spent');
+  assert.equal((await send(middleware, { idempotency_key: 'key-00003' }, handler)).body.upsell_token, 'current');
+});
+
+test('records older than a day are not replayed', async (t) => {
+  const middleware = idempotent('charge', { fingerprint: req => [req.body.amount] });
+  let charges = 0;
+  const handler = (req, res) => res.json({ charge: ++charges });
+
+  await send(middleware, { idempotency_key: 'key-00004', amount: 100 }, handler);
+  const later = Date.now() + 25 * 60 * 60 * 1000;
+  t.mock.method(Date, 'now', () => later);
+  const repeat = await send(middleware, { idempotency_key: 'key-00004', amount: 100 }, handler);
+
+  assert.equal(repeat.replayed, false);
+  assert.equal(charges, 2);
+});
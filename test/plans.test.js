@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const plans = require('../lib/plans');
+
+// Month-end starts and dunning both shift invoice dates - only the order of paid invoices counts
+const paidInvoices = [
+  { id: 'in_1', created: Date.UTC(2025, 0, 31) / 1000 },
+  { id: 'in_2', created: Date.UTC(2025, 1, 28) / 1000 },
+  { id: 'in_3', created: Date.UTC(2025, 3, 6) / 1000 }
+];
+
+test('installments are numbered by the paid invoices up to this one', () => {
+  assert.equal(plans.installmentNumber(paidInvoices, paidInvoices[0]), 1);
+  assert.equal(plans.installmentNumber(paidInvoices, paidInvoices[1]), 2);
+  assert.equal(plans.installmentNumber(paidInvoices, paidInvoices[2]), 3);
+});
+
+test('an invoice not listed as paid yet is still at least the first installment', () => {
+  assert.equal(plans.installmentNumber([], { created: Date.UTC(2025, 0, 31) / 1000 }), 1);
+});
+
+test('the plan completes on its last installment, however late it was paid', () => {
+  assert.equal(plans.isFinalInstallment(2, 3), false);
+  assert.equal(plans.isFinalInstallment(3, 3), true);
+  assert.equal(plans.isFinalInstallment(4, 3), true);
+});
+
+test('subscriptions never complete on a payment', () => {
+  assert.equal(plans.isFinalInstallment(12, null), false);
+});
+
+test('plan discounts are read off the invoice Stripe discounted', () => {
+  assert.equal(plans.invoiceDiscountAmount({ total_discount_amounts: [{ amount: 1090, discount: 'di_1' }, { amount: 500, discount: 'di_2' }] }), 1590);
+  assert.equal(plans.invoiceDiscountAmount({ total_discount_amounts: [] }), 0);
+  assert.equal(plans.invoiceDiscountAmount(null), 0);
+});
+
+test('plan tags move the customer from active to completed', () => {
+  assert.deepEqual(plans.planTagChanges('active'), { extra_tags: ['plan-active'], remove_tags: ['plan-past-due'] });
+  assert.deepEqual(plans.planTagChanges('completed'), { extra_tags: ['plan-completed'], remove_tags: ['plan-active', 'plan-past-due'] });
+});
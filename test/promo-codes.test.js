@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'promo-codes-'));
+process.env.LOG_LEVEL = 'error';
+
+const { createPromoCodes } = require('../lib/promo-codes');
+
+// Stripe stand-in knowing one promotion code per test and no raw coupons
+function stripeWith(promotionCode) {
+  return {
+    promotionCodes: {
+      list: async ({ code }) => ({ data: promotionCode && promotionCode.code === code ? [promotionCode] : [] })
+    },
+    coupons: {
+      retrieve: async () => {
+        throw Object.assign(new Error('No such coupon'), { code: 'resource_missing' });
+      }
+    }
+  };
+}
+
+function promotionCode(coupon, fields = {}) {
+  return {
+    id: `promo_${Math.random().toString(36).slice(2)}`,
+    code: 'SAVE',
+    coupon: { id: 'coupon_1', valid: true, ...coupon },
+    restrictions: {},
+    max_redemptions: null,
+    times_redeemed: 0,
+    expires_at: null,
+    ...fields
+  };
+}
+
+const order = [
+  { product_id: 'prod_main', amount: 10000, quantity: 1 },
+  { product_id: 'prod_bump', amount: 2500, quantity: 2 }
+];
+
+test('percent coupons discount the whole order', async () => {
+  const promoCodes = createPromoCodes(stripeWith(promotionCode({ percent_off: 10 })));
+  const result = await promoCodes.applyPromoCode('SAVE', order, { isExistingCustomer: false, currency: 'usd' });
+  assert.equal(result.discountAmount, 1500);
+});
+
+test('product-limited coupons only discount those items', async () => {
+  const promoCodes = createPromoCodes(stripeWith(promotionCode({ percent_off: 50, applies_to: { products: ['prod_bump'] } })));
+  const result = await promoCodes.applyPromoCode('SAVE', order, { isExistingCustomer: false, currency: 'usd' });
+  assert.equal(result.discountAmount, 2500);
+});
+
+test('fixed amounts use the checkout currency and never exceed the order', async () => {
+  const coupon = { amount_off: 50000, currency: 'usd', currency_options: { eur: { amount_off: 1000 } } };
+  const promoCodes = createPromoCodes(stripeWith(promotionCode(coupon)));
+
+  assert.equal((await promoCodes.applyPromoCode('SAVE', order, { isExistingCustomer: false, currency: 'usd' })).discountAmount, 15000);
+  assert.equal((await promoCodes.applyPromoCode('SAVE', order, { isExistingCustomer: false, currency: 'eur' })).discountAmount, 1000);
+  assert.equal((await promoCodes.applyPromoCode('SAVE', order, { isExistingCustomer: false, currency: 'gbp' })).error, 'Promo code is not valid for this currency');
+});
+
+test('unknown, blank and expired codes are refused', async () => {
+  const expired = promotionCode({ percent_off: 10 }, { expires_at: Math.floor(Date.now() / 1000) - 60 });
+  const promoCodes = createPromoCodes(stripeWith(expired));
+
+  assert.equal((await promoCodes.applyPromoCode('   ', order, { currency: 'usd' })).error, 'Invalid promo code');
+  assert.equal((await promoCodes.applyPromoCode('OTHER', order, { currency: 'usd' })).error, 'Invalid promo code');
+  assert.equal((await promoCodes.applyPromoCode('SAVE', order, { currency: 'usd' })).error, 'Promo code has expired');
+});
+
+test('first-purchase codes are refused to existing customers', async () => {
+  const promoCodes = createPromoCodes(stripeWith(promotionCode({ percent_off: 10 }, { restrictions: { first_time_transaction: true } })));
+  const result = await promoCodes.applyPromoCode('SAVE', order, { isExistingCustomer: true, currency: 'usd' });
+  assert.equal(result.error, 'Promo code is only valid on a first purchase');
+});
+
+test('minimums are checked in the checkout currency', async () => {
+  const restrictions = { minimum_amount: 20000, minimum_amount_currency: 'usd', currency_options: { eur: { minimum_amount: 10000 } } };
+  const promoCodes = createPromoCodes(stripeWith(promotionCode({ percent_off: 10 }, { restrictions })));
+
+  assert.equal((await promoCodes.applyPromoCode('SAVE', order, { currency: 'usd' })).error, 'Order does not meet the minimum for this promo code');
+  assert.equal((await promoCodes.applyPromoCode('SAVE', order, { currency: 'eur' })).discountAmount, 1500);
+  assert.equal((await promoCodes.applyPromoCode('SAVE', order, { currency: 'gbp' })).error, 'Promo code is not valid for this currency');
+});
+
+test('local redemptions count towards the redemption limit', async () => {
+  const promoCodes = createPromoCodes(stripeWith(promotionCode({ percent_off: 10 }, { max_redemptions: 2, times_redeemed: 1 })));
+
+  const first = await promoCodes.applyPromoCode('SAVE', order, { currency: 'usd' });
+  assert.equal(first.discountAmount, 1500);
+  promoCodes.recordPromoRedemption(first.redemptionKey);
+
+  assert.equal((await promoCodes.applyPromoCode('SAVE', order, { currency: 'usd' })).error, 'Promo code is no longer available');
+});
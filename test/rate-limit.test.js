@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-'));
+const configPath = path.join(dataDir, 'rate-limits.json');
+fs.writeFileSync(configPath, JSON.stringify({
+  store: 'memory',
+  policies: {
+    checkout: { window_seconds: 900, max: 10, keys: ['ip', 'slow_card'] },
+    signup: { window_seconds: 900, max: 3, keys: ['ip', 'email'] }
+  }
+}));
+
+process.env.DATA_DIR = dataDir;
+process.env.RATE_LIMITS_CONFIG = configPath;
+delete process.env.RATE_LIMIT_STORE;
+process.env.LOG_LEVEL = 'error';
+
+const rateLimits = require('../lib/rate-limit');
+
+// Stands in for the card lookup, which waits on Stripe before it has a key
+rateLimits.registerKey('slow_card', (req) => new Promise(resolve => setTimeout(() => resolve(req.body.card), 5)));
+
+// Runs one request through the middleware; resolves true if it was let through
+function send(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      headers: {},
+      set(name, value) {
+        this.headers[name] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json() {
+        resolve(false);
+      }
+    };
+    middleware({ ip: '203.0.113.1', ...req, body: req.body || {} }, res, () => resolve(true));
+  });
+}
+
+test('concurrent requests from one IP are counted against each other', async () => {
+  const middleware = rateLimits.rateLimit('checkout');
+  const requests = Array.from({ length: 30 }, (_, i) => send(middleware, { body: { card: `fp_${i}` } }));
+  const results = await Promise.all(requests);
+
+  assert.equal(results.filter(Boolean).length, 10);
+  assert.equal(results.filter(allowed => !allowed).length, 20);
+});
+
+test('a request is refused when any one of its keys is over the limit', async () => {
+  const middleware = rateLimits.rateLimit('signup');
+  for (let i = 0; i < 3; i++) {
+    assert.equal(await send(middleware, { ip: `198.51.100.${i}`, body: { email: 'Buyer@Example.com' } }), true);
+  }
+
+  assert.equal(await send(middleware, { ip: '198.51.100.9', body: { email: 'buyer@example.com ' } }), false);
+  assert.equal(await send(middleware, { ip: '198.51.100.9', body: { email: 'other@example.com' } }), true);
+});
+
+test('refused requests are not counted', async () => {
+  const entries = new Map();
+  let writes = 0;
+  rateLimits.setStore({
+    get: (key) => entries.get(key) || null,
+    set: (key, value) => {
+      writes++;
+      entries.set(key, value);
+    }
+  });
+
+  const middleware = rateLimits.rateLimit('signup');
+  const ip = '192.0.2.7';
+  for (let i = 0; i < 3; i++) {
+    assert.equal(await send(middleware, { ip }), true);
+  }
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await send(middleware, { ip }), false);
+  }
+
+  assert.equal(writes, 3);
+  assert.equal(entries.get(`signup:ip:${ip}`).current, 3);
+});
+
+test('unknown policies are a startup error', () => {
+  assert.throws(() => rateLimits.rateLimit('nope'), /Unknown rate limit policy: nope/);
+});
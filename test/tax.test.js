@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tax-'));
+const ratesPath = path.join(dataDir, 'tax-rates.json');
+fs.writeFileSync(ratesPath, JSON.stringify({
+  countries: {
+    GB: [{ name: 'VAT', rate: 20 }],
+    CA: [{ name: 'GST', rate: 5 }],
+    US: []
+  },
+  postal_codes: {
+    CA: {
+      M: [{ name: 'HST', rate: 13 }],
+      H: [{ name: 'GST', rate: 5 }, { name: 'QST', rate: 9.975 }],
+      H3Z: [{ name: 'Exempt', rate: 0 }]
+    }
+  }
+}));
+
+process.env.DATA_DIR = dataDir;
+process.env.TAX_PROVIDER = 'table';
+process.env.TAX_RATES_CONFIG = ratesPath;
+process.env.LOG_LEVEL = 'error';
+
+const { createTaxCalculator } = require('../lib/tax');
+
+const tax = createTaxCalculator(null);
+const items = [{ reference: 'prod_main', amount: 10000 }, { reference: 'prod_bump', amount: 2500 }];
+
+test('country lines apply when no postal code prefix matches', async () => {
+  const result = await tax.calculate({ currency: 'gbp', address: { country: 'GB', postal_code: 'SW1A 1AA' }, items });
+  assert.deepEqual(result, { amount: 2500, lines: [{ title: 'VAT', rate: 20, amount: 2500 }], calculation_id: null });
+});
+
+test('a postal code prefix replaces the country lines', async () => {
+  const result = await tax.calculate({ currency: 'cad', address: { country: 'CA', postal_code: 'M5V 2T6' }, items });
+  assert.deepEqual(result.lines, [{ title: 'HST', rate: 13, amount: 1625 }]);
+});
+
+test('the longest matching prefix wins, ignoring case and spaces', async () => {
+  const quebec = await tax.calculate({ currency: 'cad', address: { country: 'CA', postal_code: 'h2x 1y4' }, items });
+  assert.deepEqual(quebec.lines.map(line => line.amount), [625, 1247]);
+  assert.equal(quebec.amount, 1872);
+
+  const exempt = await tax.calculate({ currency: 'cad', address: { country: 'CA', postal_code: 'h3z 2y7' }, items });
+  assert.deepEqual(exempt, { amount: 0, lines: [], calculation_id: null });
+});
+
+test('countries outside the table pay no tax', async () => {
+  const result = await tax.calculate({ currency: 'usd', address: { country: 'JP', postal_code: '100-0001' }, items });
+  assert.deepEqual(result, { amount: 0, lines: [], calculation_id: null });
+});
+
+test('an address without a postal code falls back to the country', async () => {
+  const result = await tax.calculate({ currency: 'cad', address: { country: 'CA' }, items });
+  assert.deepEqual(result.lines, [{ title: 'GST', rate: 5, amount: 625 }]);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'upsell-tokens-'));
+process.env.UPSELL_TOKEN_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const upsellTokens = require('../lib/upsell-tokens');
+
+function newSession() {
+  return upsellTokens.createUpsellSession({
+    customerId: 'cus_1',
+    paymentMethodId: 'pm_1',
+    funnelId: 'funnel',
+    paymentIntentId: 'pi_1',
+    currentStep: 'upsell-1',
+    currency: 'usd'
+  });
+}
+
+// The original signature on an edited payload - what a buyer tampering with their token could send
+function withPayload(token, changes) {
+  const [encodedPayload, signature] = token.split('.');
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  return `${Buffer.from(JSON.stringify({ ...payload, ...changes })).toString('base64url')}.${signature}`;
+}
+
+test('a fresh token verifies to its session', () => {
+  const { session, token } = newSession();
+  const verification = upsellTokens.verifyUpsellToken(token);
+  assert.equal(verification.error, undefined);
+  assert.equal(verification.session.id, session.id);
+  assert.equal(verification.session.customer_id, 'cus_1');
+});
+
+test('a session only needs the main payment checked if it had not gone through yet', () => {
+  assert.equal(newSession().session.main_payment_confirmed, false);
+
+  const { session } = upsellTokens.createUpsellSession({
+    customerId: 'cus_1',
+    paymentMethodId: 'pm_1',
+    funnelId: 'funnel',
+    paymentIntentId: 'sub_1',
+    mainPaymentConfirmed: true,
+    currentStep: 'upsell-1',
+    currency: 'usd'
+  });
+  assert.equal(session.main_payment_confirmed, true);
+});
+
+test('malformed tokens are rejected', () => {
+  assert.equal(upsellTokens.verifyUpsellToken(undefined).error, 'Missing or malformed upsell token');
+  assert.equal(upsellTokens.verifyUpsellToken('no-dot').error, 'Missing or malformed upsell token');
+  assert.equal(upsellTokens.verifyUpsellToken('abc.def').error, 'Invalid upsell token');
+});
+
+test('a changed payload no longer matches its signature', () => {
+  const { token } = newSession();
+  assert.equal(upsellTokens.verifyUpsellToken(withPayload(token, { cus: 'cus_other' })).error, 'Invalid upsell token');
+  assert.equal(upsellTokens.verifyUpsellToken(withPayload(token, { exp: Date.now() + 1e9 })).error, 'Invalid upsell token');
+});
+
+test('a token stops working once rotated', () => {
+  const { session, token } = newSession();
+  const nextToken = upsellTokens.rotateUpsellToken(session.id);
+
+  assert.equal(upsellTokens.verifyUpsellToken(token).error, 'Upsell token has already been used');
+  assert.equal(upsellTokens.verifyUpsellToken(nextToken).session.id, session.id);
+});
+
+test('a used token still leads to the current token for its session', () => {
+  const { session, token } = newSession();
+  upsellTokens.rotateUpsellToken(session.id);
+
+  const currentToken = upsellTokens.currentUpsellToken(token);
+  assert.equal(upsellTokens.verifyUpsellToken(currentToken).session.id, session.id);
+  assert.equal(upsellTokens.currentUpsellToken(withPayload(token, { sid: 'ups_other' })), null);
+});
+
+test('expired tokens are rejected', (t) => {
+  const { token } = newSession();
+  t.mock.method(Date, 'now', () => new Date().getTime() + 31 * 60 * 1000);
+  assert.equal(upsellTokens.verifyUpsellToken(token).error, 'Upsell offer has expired');
+});
+
+test('an expired token no longer leads to a current one', (t) => {
+  const { token } = newSession();
+  t.mock.method(Date, 'now', () => new Date().getTime() + 31 * 60 * 1000);
+  assert.equal(upsellTokens.currentUpsellToken(token), null);
+});